@@ -0,0 +1,161 @@
+// Multi-source rates: ask every configured provider in parallel, drop quotes that
+// stray too far from the others and combine the rest into one price per currency
+// (aggregateQuotes() in core/)
+
+const AGGREGATION_CONFIG = {
+    storageKey: 'rateAggregation',
+    // 'single' uses the first provider that answers, as before; labels are aggregation.<mode>
+    modes: ['single', 'median', 'weighted'],
+    defaultOutlierPercent: 2
+};
+
+let aggregationSettings = {
+    mode: 'single',
+    outlierPercent: AGGREGATION_CONFIG.defaultOutlierPercent
+};
+
+// Per-currency breakdown of the current rates, empty in single-source mode:
+// { [code]: { quotes: [{ provider, price, volume, status, outlier }], spread } }
+let currentRateSources = {};
+
+function loadAggregationSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(AGGREGATION_CONFIG.storageKey));
+        if (stored && AGGREGATION_CONFIG.modes.includes(stored.mode)) {
+            aggregationSettings = { ...aggregationSettings, ...stored };
+        }
+    } catch (error) {
+        console.warn('Could not read aggregation settings:', error);
+    }
+}
+
+function saveAggregationSettings() {
+    localStorage.setItem(AGGREGATION_CONFIG.storageKey, JSON.stringify(aggregationSettings));
+}
+
+// Query every enabled provider at once and aggregate their answers.
+// Resolves like fetchRatesFromProviders(), plus `sources` with the per-currency breakdown.
+async function fetchAggregatedRatesFromProviders(currencyCodes, settings = aggregationSettings) {
+    const providers = RATE_PROVIDER_CONFIG.order
+        .map(id => rateProviders[id])
+        .filter(provider => provider && provider.id !== 'aggregate' && !(provider.isEnabled && !provider.isEnabled()));
+
+    const results = await Promise.allSettled(providers.map(provider =>
+        provider.fetchRates(currencyCodes, { timeout: getRateProviderTimeout(provider.id) })
+    ));
+
+    const failures = [];
+    const answers = [];
+    results.forEach((result, index) => {
+        const provider = providers[index];
+        if (result.status === 'fulfilled' && result.value.rates && Object.keys(result.value.rates).length > 0) {
+            answers.push({ provider, ...result.value });
+        } else {
+            const error = result.status === 'rejected' ? result.reason : new Error('No rates returned');
+            console.warn(`${provider.label} failed:`, error);
+            failures.push({ provider, error });
+        }
+    });
+
+    if (answers.length === 0) {
+        const error = new Error('All rate providers failed');
+        error.failures = failures;
+        throw error;
+    }
+
+    const rates = {};
+    const status = {};
+    const changes = {};
+    const sources = {};
+
+    currencyCodes.forEach(code => {
+        const quotes = answers
+            .filter(answer => answer.rates[code])
+            .map(answer => ({
+                provider: answer.provider.id,
+                price: answer.rates[code],
+                volume: (answer.volumes || {})[code],
+                status: (answer.status || {})[code] || 'live'
+            }));
+        if (quotes.length === 0) return;
+
+        const { price, status: quoteStatus, ...breakdown } = aggregateQuotes(quotes, settings);
+        rates[code] = price;
+        status[code] = quoteStatus;
+        sources[code] = breakdown;
+
+        const withChange = answers.find(answer => answer.changes && answer.changes[code] !== undefined);
+        if (withChange) changes[code] = withChange.changes[code];
+    });
+
+    return { rates, status, changes, sources, provider: rateProviders.aggregate, failures };
+}
+
+// Lets snapshots and the "Source:" label refer to aggregated rates like any other provider
+registerRateProvider({
+    id: 'aggregate',
+    label: 'Multiple sources (aggregated)',
+    fetchRates(currencyCodes) {
+        return fetchAggregatedRatesFromProviders(currencyCodes);
+    }
+});
+
+// Expandable list of the sources behind a card's rate, in the page's terms
+function createSourcesElement(currencyCode, pageId) {
+    const breakdown = currentRateSources[currencyCode];
+    if (!breakdown) return null;
+
+    const used = breakdown.quotes.filter(quote => !quote.outlier).length;
+    const element = document.createElement('details');
+    element.className = 'rate-sources';
+    element.innerHTML = `
+        <summary>${translate('aggregation.summary', { count: used, spread: formatPercent(breakdown.spread).replace(/^\+/, '') })}</summary>
+        <ul>
+            ${breakdown.quotes.map(quote => {
+                const value = formatPageValue(getPageValue(quote.price, currencyCode, pageId), currencyCode, pageId);
+                return `
+                    <li class="${quote.outlier ? 'outlier' : ''}">
+                        <span>${getSourceLabel(quote.provider)}</span>
+                        <span>${value}${quote.outlier ? ` · ${translate('aggregation.outlier', { deviation: formatPercent(quote.deviation) })}` : ''}</span>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+    return element;
+}
+
+function applySourcesToGrid(container, pageId) {
+    container.querySelectorAll('.rate-card').forEach(card => {
+        const sourcesElement = createSourcesElement(card.dataset.currency, pageId);
+        if (sourcesElement) card.appendChild(sourcesElement);
+    });
+}
+
+function initAggregationSettings() {
+    const modeSelect = document.getElementById('aggregationMode');
+    const outlierInput = document.getElementById('outlierPercent');
+
+    modeSelect.innerHTML = AGGREGATION_CONFIG.modes
+        .map(mode => `<option value="${mode}" data-i18n="aggregation.${mode}"></option>`)
+        .join('');
+    modeSelect.value = aggregationSettings.mode;
+    outlierInput.value = aggregationSettings.outlierPercent;
+    outlierInput.disabled = aggregationSettings.mode === 'single';
+
+    modeSelect.addEventListener('change', () => {
+        aggregationSettings.mode = modeSelect.value;
+        outlierInput.disabled = aggregationSettings.mode === 'single';
+        saveAggregationSettings();
+        fetchRates();
+    });
+    outlierInput.addEventListener('change', () => {
+        const percent = parseFloat(outlierInput.value);
+        aggregationSettings.outlierPercent = percent > 0 ? percent : AGGREGATION_CONFIG.defaultOutlierPercent;
+        outlierInput.value = aggregationSettings.outlierPercent;
+        saveAggregationSettings();
+        fetchRates();
+    });
+}
+
+loadAggregationSettings();
@@ -0,0 +1,294 @@
+// Price alerts: rules such as "1 BITS ≥ $0.10" or "$10 buys ≤ 10K sats", checked
+// whenever new rates arrive and delivered as browser notifications, or in the page
+// when notifications aren't available. Rules and history are saved in localStorage.
+
+const PRICE_ALERT_CONFIG = {
+    storageKey: 'priceAlerts',
+    historyStorageKey: 'priceAlertHistory',
+    maxHistory: 50,
+    toastDuration: 15000
+};
+
+// [{
+//   id, pageId, currency,
+//   amount:    units (fiat per unit pages) or fiat amount (units per fiat pages)
+//   condition: 'above' (≥ threshold) or 'below' (≤ threshold)
+//   threshold: fiat value or unit amount, in the page's terms
+//   repeat:    'once' stays off after firing, 'rearm' fires again after the value crosses back
+//   armed, lastTriggered
+// }]
+let priceAlerts = [];
+
+// [{ timestamp, title, body }], newest first
+let priceAlertHistory = [];
+
+// The latest live rates (not sample or restored) and their status, so a new rule
+// can be checked straight away
+let priceAlertRates = null;
+let priceAlertRateStatus = {};
+
+function loadPriceAlerts() {
+    try {
+        priceAlerts = JSON.parse(localStorage.getItem(PRICE_ALERT_CONFIG.storageKey)) || [];
+        priceAlertHistory = JSON.parse(localStorage.getItem(PRICE_ALERT_CONFIG.historyStorageKey)) || [];
+    } catch (error) {
+        console.warn('Could not read price alerts:', error);
+    }
+}
+
+function savePriceAlerts() {
+    localStorage.setItem(PRICE_ALERT_CONFIG.storageKey, JSON.stringify(priceAlerts));
+    localStorage.setItem(PRICE_ALERT_CONFIG.historyStorageKey, JSON.stringify(priceAlertHistory));
+}
+
+// The amount a rule is about when none was entered: 1 unit, or the currency's reference amount
+function getDefaultAlertAmount(pageId, currencyCode) {
+    if (PAGE_DENOMINATIONS[pageId].mode === 'fiat-per-unit') return 1;
+    return currencies[currencyCode] ? currencies[currencyCode].amount : 1;
+}
+
+// "1.00 BITS = $0.1043" or "$10 = 16.67K sats"
+function formatAlertValue(rule, value) {
+    const { unit, mode } = PAGE_DENOMINATIONS[rule.pageId];
+    return mode === 'fiat-per-unit'
+        ? `${formatUnitAmount(rule.amount, unit)} = ${formatFiat(value, rule.currency)}`
+        : `${formatFiat(rule.amount, rule.currency, { dropWholeDecimals: true })} = ${formatUnitAmount(value, unit)}`;
+}
+
+// "1.00 BITS ≥ $0.10" or "$10 buys ≤ 10K sats"
+function describeAlertRule(rule) {
+    const { unit, mode } = PAGE_DENOMINATIONS[rule.pageId];
+    const sign = rule.condition === 'above' ? '≥' : '≤';
+
+    if (mode === 'fiat-per-unit') {
+        return `${formatUnitAmount(rule.amount, unit)} ${sign} ${formatFiat(rule.threshold, rule.currency)}`;
+    }
+    return translate('alerts.ruleBuys', {
+        amount: formatFiat(rule.amount, rule.currency, { dropWholeDecimals: true }),
+        sign,
+        threshold: formatUnitAmount(rule.threshold, unit)
+    });
+}
+
+// Called with every live rate update and its status; see checkAlertRule() in core/
+function checkPriceAlerts(rates, status) {
+    priceAlertRates = rates;
+    priceAlertRateStatus = status;
+    let changed = false;
+
+    priceAlerts.forEach(rule => {
+        const action = checkAlertRule(rule, rates, status);
+        if (action === 'fire') {
+            rule.armed = false;
+            rule.lastTriggered = Date.now();
+            triggerPriceAlert(rule, getAlertValue(rule, rates[rule.currency]));
+            changed = true;
+        } else if (action === 'rearm') {
+            rule.armed = true;
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        savePriceAlerts();
+        renderPriceAlerts();
+    }
+}
+
+function triggerPriceAlert(rule, value) {
+    const title = translate('alerts.notificationTitle', { rule: describeAlertRule(rule) });
+    const body = translate('alerts.notificationBody', { value: formatAlertValue(rule, value) });
+
+    priceAlertHistory.unshift({ timestamp: Date.now(), title, body });
+    priceAlertHistory.length = Math.min(priceAlertHistory.length, PRICE_ALERT_CONFIG.maxHistory);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        try {
+            new Notification(title, { body, tag: `price-alert-${rule.id}` });
+            return;
+        } catch (error) {
+            // Some mobile browsers only allow notifications from a service worker
+        }
+    }
+    showAlertToast(title, body);
+}
+
+// In-page fallback when browser notifications are unavailable or blocked
+function showAlertToast(title, body) {
+    const toast = document.createElement('div');
+    toast.className = 'alert-toast';
+    toast.innerHTML = `
+        <div class="alert-toast-title">${title}</div>
+        <div class="alert-toast-body">${body}</div>
+        <button class="alert-toast-close" aria-label="${translate('alerts.dismiss')}">&times;</button>
+    `;
+
+    const dismiss = () => toast.remove();
+    toast.querySelector('.alert-toast-close').addEventListener('click', dismiss);
+    setTimeout(dismiss, PRICE_ALERT_CONFIG.toastDuration);
+
+    document.getElementById('alertToasts').appendChild(toast);
+}
+
+function describeNotificationPermission() {
+    if (!('Notification' in window)) {
+        return translate('alerts.permissionUnsupported');
+    }
+    if (Notification.permission === 'granted') {
+        return translate('alerts.permissionGranted');
+    }
+    if (Notification.permission === 'denied') {
+        return translate('alerts.permissionDenied');
+    }
+    return translate('alerts.permissionDefault');
+}
+
+async function requestAlertPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Could not request notification permission:', error);
+        }
+    }
+    renderPriceAlerts();
+}
+
+function addPriceAlert(rule) {
+    priceAlerts.push({ id: Date.now(), armed: true, lastTriggered: null, ...rule });
+    savePriceAlerts();
+    renderPriceAlerts();
+
+    requestAlertPermission();
+    if (priceAlertRates) checkPriceAlerts(priceAlertRates, priceAlertRateStatus);
+}
+
+function initPriceAlerts() {
+    loadPriceAlerts();
+
+    const pageSelect = document.getElementById('alertPage');
+    pageSelect.innerHTML = Object.entries(PAGE_DENOMINATIONS).map(([pageId, { unit, mode }]) => {
+        const key = mode === 'fiat-per-unit' ? 'nav.fiatPerUnit' : 'nav.unitsPerFiat';
+        return `<option value="${pageId}" data-i18n="${key}" ${i18nParams({ unit: BITCOIN_UNITS[unit].label })}></option>`;
+    }).join('');
+
+    const form = document.getElementById('alertForm');
+    form.addEventListener('input', updateAlertFormPreview);
+    form.addEventListener('change', updateAlertFormPreview);
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+
+        const pageId = pageSelect.value;
+        const currency = document.getElementById('alertCurrency').value;
+        const amountInput = document.getElementById('alertAmount');
+        const thresholdInput = document.getElementById('alertThreshold');
+        const amount = amountInput.value.trim() === ''
+            ? getDefaultAlertAmount(pageId, currency)
+            : parseAmountInput(amountInput.value);
+        const threshold = parseAmountInput(thresholdInput.value);
+
+        amountInput.classList.toggle('invalid', !(amount > 0));
+        thresholdInput.classList.toggle('invalid', !(threshold > 0));
+        if (!(amount > 0) || !(threshold > 0) || !currency) return;
+
+        addPriceAlert({
+            pageId,
+            currency,
+            amount,
+            condition: document.getElementById('alertCondition').value,
+            threshold,
+            repeat: document.getElementById('alertRepeat').value
+        });
+        thresholdInput.value = '';
+    });
+
+    document.getElementById('alertRuleList').addEventListener('click', event => {
+        const item = event.target.closest('.alert-rule');
+        if (!item) return;
+        const id = Number(item.dataset.id);
+
+        if (event.target.classList.contains('alert-remove')) {
+            priceAlerts = priceAlerts.filter(rule => rule.id !== id);
+            savePriceAlerts();
+            renderPriceAlerts();
+        } else if (event.target.classList.contains('alert-rearm')) {
+            priceAlerts.find(rule => rule.id === id).armed = true;
+            savePriceAlerts();
+            renderPriceAlerts();
+            if (priceAlertRates) checkPriceAlerts(priceAlertRates, priceAlertRateStatus);
+        }
+    });
+
+    document.getElementById('clearAlertHistoryBtn').addEventListener('click', () => {
+        priceAlertHistory = [];
+        savePriceAlerts();
+        renderPriceAlerts();
+    });
+
+    refreshAlertCurrencies();
+}
+
+// Rebuild the currency list after the user's currency selection changed
+function refreshAlertCurrencies() {
+    const select = document.getElementById('alertCurrency');
+    const selected = select.value;
+
+    select.innerHTML = Object.entries(currencies)
+        .map(([code, config]) => `<option value="${code}">${config.flag} ${code.toUpperCase()}</option>`)
+        .join('');
+
+    if (currencies[selected]) {
+        select.value = selected;
+    }
+    renderPriceAlerts();
+}
+
+// Show the default amount and the current value for the rule being entered
+function updateAlertFormPreview() {
+    const pageId = document.getElementById('alertPage').value;
+    const currency = document.getElementById('alertCurrency').value;
+    const amountInput = document.getElementById('alertAmount');
+    const preview = document.getElementById('alertPreview');
+
+    amountInput.placeholder = currency ? formatNumber(getDefaultAlertAmount(pageId, currency), 8) : '';
+
+    const amount = amountInput.value.trim() === '' ? getDefaultAlertAmount(pageId, currency) : parseAmountInput(amountInput.value);
+    if (!currentRates[currency] || !(amount > 0)) {
+        preview.textContent = '';
+        return;
+    }
+    const rule = { pageId, currency, amount };
+    preview.textContent = translate('alerts.preview', { value: formatAlertValue(rule, getAlertValue(rule, currentRates[currency])) });
+}
+
+function renderPriceAlerts() {
+    document.getElementById('alertPermissionHint').textContent = describeNotificationPermission();
+
+    document.getElementById('alertRuleList').innerHTML = priceAlerts.length === 0
+        ? `<li class="alert-empty">${translate('alerts.empty')}</li>`
+        : priceAlerts.map(rule => {
+            const status = rule.armed
+                ? translate(rule.repeat === 'rearm' ? 'alerts.armedRepeats' : 'alerts.armedOnce')
+                : translate('alerts.fired', { time: new Date(rule.lastTriggered).toLocaleString(numberFormatSettings.locale) });
+
+            return `
+                <li class="alert-rule${rule.armed ? '' : ' fired'}" data-id="${rule.id}">
+                    <span class="alert-rule-text">${describeAlertRule(rule)}</span>
+                    <span class="alert-rule-status">${status}</span>
+                    ${rule.armed ? '' : `<button class="panel-btn secondary alert-rearm">${translate('alerts.rearmButton')}</button>`}
+                    <button class="currency-remove alert-remove" title="${translate('alerts.delete')}">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+    document.getElementById('alertHistoryList').innerHTML = priceAlertHistory.length === 0
+        ? `<li class="alert-empty">${translate('alerts.historyEmpty')}</li>`
+        : priceAlertHistory.map(entry => `
+            <li class="alert-history-item">
+                <span class="alert-history-time">${new Date(entry.timestamp).toLocaleString(numberFormatSettings.locale)}</span>
+                <span>${entry.title} · ${entry.body}</span>
+            </li>
+        `).join('');
+
+    updateAlertFormPreview();
+}
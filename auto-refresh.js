@@ -0,0 +1,123 @@
+// Automatic rate refresh with a countdown, exponential backoff and
+// pausing while the tab is hidden
+
+const AUTO_REFRESH_CONFIG = {
+    storageKey: 'autoRefreshInterval',
+    // Interval choices in seconds; 0 turns auto-refresh off
+    intervals: [0, 30, 60, 300, 900],
+    defaultInterval: 0,
+    maxBackoff: 30 * 60 * 1000
+};
+
+let autoRefresh = {
+    interval: 0,
+    failures: 0,
+    nextAt: null,
+    timer: null
+};
+
+function loadAutoRefreshInterval() {
+    const stored = Number(localStorage.getItem(AUTO_REFRESH_CONFIG.storageKey));
+    return AUTO_REFRESH_CONFIG.intervals.includes(stored) ? stored : AUTO_REFRESH_CONFIG.defaultInterval;
+}
+
+// The message key and parameters naming an interval choice
+function describeRefreshInterval(seconds) {
+    if (seconds === 0) return { key: 'autoRefresh.off', params: {} };
+    return seconds < 60
+        ? { key: 'autoRefresh.seconds', params: { count: seconds } }
+        : { key: 'autoRefresh.minutes', params: { count: seconds / 60 } };
+}
+
+function initAutoRefresh() {
+    const select = document.getElementById('autoRefreshInterval');
+    const seconds = loadAutoRefreshInterval();
+
+    select.innerHTML = AUTO_REFRESH_CONFIG.intervals
+        .map(value => {
+            const { key, params } = describeRefreshInterval(value);
+            return `<option value="${value}" data-i18n="${key}" ${i18nParams(params)}></option>`;
+        })
+        .join('');
+    select.value = String(seconds);
+    autoRefresh.interval = seconds * 1000;
+
+    select.addEventListener('change', () => {
+        localStorage.setItem(AUTO_REFRESH_CONFIG.storageKey, select.value);
+        autoRefresh.interval = Number(select.value) * 1000;
+        autoRefresh.failures = 0;
+        scheduleNextRefresh();
+    });
+
+    document.addEventListener('visibilitychange', handleRefreshVisibilityChange);
+    setInterval(updateRefreshCountdown, 1000);
+}
+
+// Called by fetchRates() with the outcome of every fetch, manual or automatic
+function scheduleAutoRefresh(outcome) {
+    if (outcome.success && !outcome.rateLimited) {
+        autoRefresh.failures = 0;
+    } else {
+        autoRefresh.failures++;
+    }
+    scheduleNextRefresh();
+}
+
+// The normal interval, doubled for every consecutive failure
+function getAutoRefreshDelay() {
+    const delay = autoRefresh.interval * Math.pow(2, autoRefresh.failures);
+    return Math.min(delay, Math.max(AUTO_REFRESH_CONFIG.maxBackoff, autoRefresh.interval));
+}
+
+function scheduleNextRefresh() {
+    clearTimeout(autoRefresh.timer);
+    autoRefresh.timer = null;
+    autoRefresh.nextAt = null;
+
+    // A live price stream (streaming.js) replaces polling while it is up
+    if (autoRefresh.interval > 0 && !isStreamingLive()) {
+        autoRefresh.nextAt = Date.now() + getAutoRefreshDelay();
+        if (!document.hidden) startRefreshTimer();
+    }
+    updateRefreshCountdown();
+}
+
+function startRefreshTimer() {
+    clearTimeout(autoRefresh.timer);
+    autoRefresh.timer = setTimeout(() => {
+        autoRefresh.timer = null;
+        if (!document.hidden) fetchRates();
+    }, Math.max(autoRefresh.nextAt - Date.now(), 0));
+}
+
+// Hidden tabs don't refresh; a refresh that came due meanwhile runs as soon as the tab is visible
+function handleRefreshVisibilityChange() {
+    if (document.hidden) {
+        clearTimeout(autoRefresh.timer);
+        autoRefresh.timer = null;
+    } else if (autoRefresh.nextAt && !activeRatesFetch) {
+        startRefreshTimer();
+    }
+    updateRefreshCountdown();
+}
+
+function updateRefreshCountdown() {
+    const countdown = document.getElementById('refreshCountdown');
+    if (!countdown) return;
+
+    if (activeRatesFetch) {
+        countdown.textContent = translate('autoRefresh.refreshing');
+    } else if (isStreamingLive()) {
+        countdown.textContent = translate('autoRefresh.streaming');
+    } else if (!autoRefresh.nextAt) {
+        countdown.textContent = '';
+    } else if (document.hidden) {
+        countdown.textContent = translate('autoRefresh.paused');
+    } else {
+        const seconds = Math.max(Math.ceil((autoRefresh.nextAt - Date.now()) / 1000), 0);
+        const minutes = Math.floor(seconds / 60);
+        const remainder = String(seconds % 60).padStart(2, '0');
+        const key = autoRefresh.failures > 0 ? 'autoRefresh.nextBackingOff' : 'autoRefresh.next';
+        countdown.textContent = translate(key, { time: `${minutes}:${remainder}` });
+    }
+}
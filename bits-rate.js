@@ -0,0 +1,382 @@
+// <bits-rate>: a rate card other sites can embed with
+//
+//   <script type="module" src="https://example.com/bits-rate.js"></script>
+//   <bits-rate currency="eur" unit="sats" mode="per-fiat" amount="10"></bits-rate>
+//
+// Each card draws itself in its own shadow root, so the host page's CSS and ours
+// don't affect each other. All cards on a page share one rate feed: a single request
+// covers every currency shown, it is repeated every `refreshInterval` while a card is
+// on the page, and every card re-renders when new rates arrive.
+//
+// Attributes, all optional:
+//   currency - ISO 4217 code, default usd
+//   unit     - btc, mbtc, bits or sats, default bits
+//   mode     - per-unit ("1 BITS = $0.06") or per-fiat ("$10 = 16.67K sats"), default per-unit
+//   amount   - units to price (per-unit) or fiat to convert (per-fiat), default 1
+//   theme    - light, dark or high-contrast; follows the visitor's system settings when absent
+//   lang     - language of the card's text; the nearest lang attribute around it, or the
+//              visitor's languages, when absent (English if there is no catalogue for it)
+
+import {
+    ISO_4217, BITCOIN_UNITS, numberFormatSettings, formatNumber, formatFiat, formatUnitAmount,
+    convertFiatToUnits, convertUnitsToFiat, fetchRatesFromProviders,
+    resolveLanguage, translate, getCurrencyDisplayName
+} from './core/index.js';
+
+export const BITS_RATE_CONFIG = {
+    tagName: 'bits-rate',
+    refreshInterval: 60000,
+    defaults: { currency: 'usd', unit: 'bits', mode: 'per-unit', amount: 1 }
+};
+
+// Shared by every card on the page
+const rateFeed = {
+    rates: {},
+    status: {},
+    source: '',
+    timestamp: null,
+    failed: false,
+    cards: new Set(),
+    request: null,
+    queued: false,
+    timer: null
+};
+
+const BITS_RATE_THEMES = ['light', 'dark', 'high-contrast'];
+
+// Media queries that decide the theme of cards without a theme attribute, as in theme.js
+const SYSTEM_THEME_QUERIES = ['(prefers-color-scheme: dark)', '(prefers-contrast: more)', '(forced-colors: active)'];
+
+// Statuses with a badge, labelled by the status.* messages
+const RATE_STATUS_BADGES = ['live', 'cached', 'approx'];
+
+// An own property, so attribute values such as "constructor" are not taken for currencies
+function isKnownCurrency(code) {
+    return Object.hasOwn(ISO_4217, code);
+}
+
+function getFeedCurrencies() {
+    return [...new Set([...rateFeed.cards].map(card => card.currency))].filter(isKnownCurrency);
+}
+
+// One request for every card's currency; callers while it runs share it
+export function refreshRateFeed() {
+    if (!rateFeed.request) {
+        rateFeed.request = loadFeedRates().finally(() => {
+            rateFeed.request = null;
+        });
+    }
+    return rateFeed.request;
+}
+
+async function loadFeedRates() {
+    const codes = getFeedCurrencies();
+    if (codes.length === 0) return;
+
+    try {
+        const { rates, status, provider } = await fetchRatesFromProviders(codes);
+        Object.assign(rateFeed.rates, rates);
+        Object.assign(rateFeed.status, status);
+        rateFeed.source = provider.label;
+        rateFeed.timestamp = Date.now();
+        rateFeed.failed = false;
+    } catch (error) {
+        // Cards keep showing the last rates they had
+        console.warn('Could not load rates for <bits-rate>:', error);
+        rateFeed.failed = true;
+    }
+    rateFeed.cards.forEach(card => card.render());
+}
+
+// Cards connected together (e.g. while the page is parsed) wait for each other and
+// share a request; one that arrives while a request runs gets the next one
+function queueFeedRefresh() {
+    if (rateFeed.queued) return;
+    rateFeed.queued = true;
+    queueMicrotask(async () => {
+        await rateFeed.request;
+        rateFeed.queued = false;
+        refreshRateFeed();
+    });
+}
+
+function addFeedCard(card) {
+    rateFeed.cards.add(card);
+    if (!rateFeed.timer) {
+        rateFeed.timer = setInterval(() => {
+            // Background tabs catch up when they are looked at again
+            if (!document.hidden) refreshRateFeed();
+        }, BITS_RATE_CONFIG.refreshInterval);
+    }
+}
+
+function removeFeedCard(card) {
+    rateFeed.cards.delete(card);
+    if (rateFeed.cards.size === 0) {
+        clearInterval(rateFeed.timer);
+        rateFeed.timer = null;
+    }
+}
+
+function matchesMedia(query) {
+    return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
+
+function getSystemTheme() {
+    if (matchesMedia('(prefers-contrast: more)') || matchesMedia('(forced-colors: active)')) return 'high-contrast';
+    return matchesMedia('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+// Colours follow the app's light, dark and high-contrast themes (styles.css)
+const BITS_RATE_STYLES = `
+    :host {
+        display: inline-block;
+        min-width: 220px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    .card {
+        --surface: white;
+        --text: #333;
+        --text-muted: #666;
+        --accent-text: #2563eb;
+        --border: transparent;
+        --shadow: rgba(0,0,0,0.1);
+        --status-live-bg: #d1fae5;
+        --status-live-text: #065f46;
+        --status-cached-bg: #fef3c7;
+        --status-cached-text: #92400e;
+        --status-approx-bg: #fee2e2;
+        --status-approx-text: #991b1b;
+        background: var(--surface);
+        color: var(--text);
+        border: 1px solid var(--border);
+        padding: 16px 20px;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px var(--shadow);
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px 16px;
+        justify-content: space-between;
+        align-items: center;
+    }
+
+    .card[data-theme="dark"] {
+        --surface: #1f2937;
+        --text: #f3f4f6;
+        --text-muted: #9ca3af;
+        --accent-text: #60a5fa;
+        --shadow: rgba(0,0,0,0.4);
+        --status-live-bg: #064e3b;
+        --status-live-text: #a7f3d0;
+        --status-cached-bg: #78350f;
+        --status-cached-text: #fde68a;
+        --status-approx-bg: #7f1d1d;
+        --status-approx-text: #fecaca;
+    }
+
+    .card[data-theme="high-contrast"] {
+        --surface: black;
+        --text: white;
+        --text-muted: white;
+        --accent-text: #ffeb3b;
+        --border: white;
+        --shadow: transparent;
+        --status-live-bg: black;
+        --status-live-text: #69f0ae;
+        --status-cached-bg: black;
+        --status-cached-text: #ffeb3b;
+        --status-approx-bg: black;
+        --status-approx-text: #ff8a80;
+    }
+
+    .currency-info {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+    }
+
+    .currency-name {
+        font-weight: bold;
+    }
+
+    .currency-code,
+    .source {
+        font-size: 12px;
+        color: var(--text-muted);
+    }
+
+    .source {
+        flex-basis: 100%;
+    }
+
+    .rate-value {
+        font-size: 18px;
+        font-weight: bold;
+        color: var(--accent-text);
+    }
+
+    .rate-status {
+        display: inline-block;
+        margin-left: 6px;
+        padding: 1px 6px;
+        border: 1px solid var(--border);
+        border-radius: 10px;
+        font-size: 10px;
+        font-weight: bold;
+        text-transform: uppercase;
+        vertical-align: middle;
+    }
+
+    .rate-status-live {
+        background: var(--status-live-bg);
+        color: var(--status-live-text);
+    }
+
+    .rate-status-cached {
+        background: var(--status-cached-bg);
+        color: var(--status-cached-text);
+    }
+
+    .rate-status-approx {
+        background: var(--status-approx-bg);
+        color: var(--status-approx-text);
+    }
+`;
+
+export class BitsRateElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['currency', 'unit', 'mode', 'amount', 'theme', 'lang'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).innerHTML = `
+            <style>${BITS_RATE_STYLES}</style>
+            <div class="card" part="card"></div>
+        `;
+    }
+
+    get currency() {
+        return (this.getAttribute('currency') || BITS_RATE_CONFIG.defaults.currency).trim().toLowerCase();
+    }
+
+    get unit() {
+        const unit = (this.getAttribute('unit') || '').trim().toLowerCase();
+        return BITCOIN_UNITS[unit] ? unit : BITS_RATE_CONFIG.defaults.unit;
+    }
+
+    get mode() {
+        return this.getAttribute('mode') === 'per-fiat' ? 'per-fiat' : BITS_RATE_CONFIG.defaults.mode;
+    }
+
+    get theme() {
+        const theme = this.getAttribute('theme');
+        return BITS_RATE_THEMES.includes(theme) ? theme : getSystemTheme();
+    }
+
+    get amount() {
+        const amount = Number(this.getAttribute('amount'));
+        return amount > 0 ? amount : BITS_RATE_CONFIG.defaults.amount;
+    }
+
+    // The message catalogue for the card's text
+    get language() {
+        const marked = this.closest('[lang]');
+        const visitor = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+        return resolveLanguage([marked && marked.lang].concat(visitor).filter(Boolean));
+    }
+
+    connectedCallback() {
+        addFeedCard(this);
+        this.requestRate();
+    }
+
+    disconnectedCallback() {
+        removeFeedCard(this);
+    }
+
+    attributeChangedCallback(name) {
+        if (!this.isConnected) return;
+        if (name === 'currency') {
+            this.requestRate();
+        } else {
+            this.render();
+        }
+    }
+
+    // Show the shared rate if there is one, and fetch it if not
+    requestRate() {
+        if (!rateFeed.rates[this.currency] && isKnownCurrency(this.currency)) {
+            queueFeedRefresh();
+        }
+        this.render();
+    }
+
+    render() {
+        const card = this.shadowRoot.querySelector('.card');
+        const currency = this.currency;
+        const language = this.language;
+        card.dataset.theme = this.theme;
+        card.lang = language;
+        if (!isKnownCurrency(currency)) {
+            card.innerHTML = `<span class="currency-code">${translate('widget.unknownCurrency', {}, language)}</span>`;
+            return;
+        }
+
+        const metadata = ISO_4217[currency];
+        const unit = BITCOIN_UNITS[this.unit];
+        const amount = this.amount;
+        const price = rateFeed.rates[currency];
+
+        const label = this.mode === 'per-unit'
+            ? `${formatNumber(amount, unit.decimals)} ${unit.label}`
+            : formatFiat(amount, currency, { dropWholeDecimals: true });
+
+        let value;
+        if (!price) {
+            value = translate(rateFeed.failed || rateFeed.timestamp ? 'widget.unavailable' : 'widget.loading', {}, language);
+        } else if (this.mode === 'per-unit') {
+            value = formatFiat(convertUnitsToFiat(amount, price, unit.id), currency);
+        } else {
+            value = formatUnitAmount(convertFiatToUnits(amount, price, unit.id), unit.id);
+        }
+
+        const status = rateFeed.status[currency];
+        const statusBadge = price && RATE_STATUS_BADGES.includes(status)
+            ? `<span class="rate-status rate-status-${status}" part="status">${translate(`status.${status}`, {}, language)}</span>`
+            : '';
+        const updated = price
+            ? `<div class="source" part="source">${rateFeed.source} · ${new Date(rateFeed.timestamp).toLocaleTimeString(numberFormatSettings.locale, { hour: '2-digit', minute: '2-digit' })}</div>`
+            : '';
+
+        card.setAttribute('aria-label', `${label} = ${value}`);
+        card.setAttribute('role', 'group');
+        card.innerHTML = `
+            <div class="currency-info">
+                <span class="currency-flag" aria-hidden="true">${metadata.flag}</span>
+                <div>
+                    <div class="currency-name" part="label">${label}</div>
+                    <div class="currency-code">${getCurrencyDisplayName(currency, language)} ${statusBadge}</div>
+                </div>
+            </div>
+            <div class="rate-value" part="value">${value}</div>
+            ${updated}
+        `;
+    }
+}
+
+if (!customElements.get(BITS_RATE_CONFIG.tagName)) {
+    customElements.define(BITS_RATE_CONFIG.tagName, BitsRateElement);
+
+    // Cards following the system theme switch with it
+    if (window.matchMedia) {
+        SYSTEM_THEME_QUERIES.forEach(query => {
+            window.matchMedia(query).addEventListener('change', () => rateFeed.cards.forEach(card => card.render()));
+        });
+    }
+}
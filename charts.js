@@ -0,0 +1,223 @@
+// Historical price charts, opened by clicking any rate card
+
+const CHART_RANGES = {
+    '24h': { days: 1, maxAge: 5 * 60 * 1000 },
+    '7d': { days: 7, maxAge: 30 * 60 * 1000 },
+    '30d': { days: 30, maxAge: 2 * 60 * 60 * 1000 },
+    '1y': { days: 365, maxAge: 12 * 60 * 60 * 1000 }
+};
+
+const CHART_CACHE_PREFIX = 'priceHistory:';
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 240;
+
+let chartState = {
+    currencyCode: null,
+    pageId: null,
+    range: '7d',
+    times: [],
+    values: [],
+    request: 0
+};
+
+function loadCachedHistory(currencyCode, range) {
+    try {
+        return JSON.parse(localStorage.getItem(CHART_CACHE_PREFIX + currencyCode + ':' + range));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveCachedHistory(currencyCode, range, points) {
+    try {
+        localStorage.setItem(
+            CHART_CACHE_PREFIX + currencyCode + ':' + range,
+            JSON.stringify({ points, timestamp: Date.now() })
+        );
+    } catch (error) {
+        console.warn('Could not cache price history:', error);
+    }
+}
+
+// Cached BTC price history, refreshed from the providers when it is too old
+async function getPriceHistory(currencyCode, range) {
+    const cached = loadCachedHistory(currencyCode, range);
+    if (cached && Date.now() - cached.timestamp < CHART_RANGES[range].maxAge) {
+        return cached.points;
+    }
+
+    try {
+        const { points } = await fetchPriceHistoryFromProviders(currencyCode, CHART_RANGES[range].days);
+        saveCachedHistory(currencyCode, range, points);
+        return points;
+    } catch (error) {
+        // An outdated chart is better than none
+        if (cached) return cached.points;
+        throw error;
+    }
+}
+
+function describeChart(currencyCode, pageId) {
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
+    const config = currencies[currencyCode];
+    const unitName = BITCOIN_UNITS[unit].label;
+
+    return mode === 'fiat-per-unit'
+        ? translate('chart.fiatPerUnit', { code: currencyCode.toUpperCase(), unit: unitName })
+        : translate('chart.unitsPerAmount', { unit: unitName, amount: formatFiat(config.amount, currencyCode, { dropWholeDecimals: true }) });
+}
+
+function formatChartValue(value) {
+    return formatPageValue(value, chartState.currencyCode, chartState.pageId);
+}
+
+function formatChartTime(timestamp) {
+    const date = new Date(timestamp);
+    return chartState.range === '24h'
+        ? date.toLocaleTimeString(numberFormatSettings.locale, { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString(numberFormatSettings.locale);
+}
+
+function initCharts() {
+    const rangeButtons = document.getElementById('chartRanges');
+    rangeButtons.innerHTML = Object.keys(CHART_RANGES)
+        .map(range => `<button class="chart-range-btn" data-range="${range}" data-i18n="chart.range.${range}"></button>`)
+        .join('');
+
+    rangeButtons.addEventListener('click', event => {
+        const button = event.target.closest('.chart-range-btn');
+        if (button) loadChart(button.dataset.range);
+    });
+
+    // Any rate card opens the chart for its currency and page
+    document.querySelectorAll('.rates-grid').forEach(grid => {
+        grid.addEventListener('click', event => {
+            const card = event.target.closest('.rate-card');
+            // The sources list inside a card expands on its own
+            if (event.target.closest('.rate-sources')) return;
+            if (card) openChart(card.dataset.currency, grid.closest('.page').id);
+        });
+    });
+
+    document.getElementById('chartClose').addEventListener('click', closeChart);
+    document.getElementById('chartModal').addEventListener('click', event => {
+        if (event.target.id === 'chartModal') closeChart();
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') closeChart();
+    });
+
+    const chartArea = document.getElementById('chartArea');
+    chartArea.addEventListener('mousemove', showChartReadout);
+    chartArea.addEventListener('mouseleave', hideChartReadout);
+}
+
+function openChart(currencyCode, pageId) {
+    const config = currencies[currencyCode];
+    if (!config || !PAGE_DENOMINATIONS[pageId]) return;
+
+    chartState.currencyCode = currencyCode;
+    chartState.pageId = pageId;
+
+    document.getElementById('chartTitle').textContent = `${config.flag} ${describeChart(currencyCode, pageId)}`;
+    document.getElementById('chartModal').style.display = 'flex';
+    loadChart(chartState.range);
+}
+
+function closeChart() {
+    document.getElementById('chartModal').style.display = 'none';
+    chartState.currencyCode = null;
+}
+
+async function loadChart(range) {
+    const request = ++chartState.request;
+    const { currencyCode, pageId } = chartState;
+    chartState.range = range;
+
+    document.querySelectorAll('.chart-range-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.range === range);
+    });
+    document.getElementById('chartSummary').textContent = '';
+    document.getElementById('chartArea').innerHTML = `<div class="chart-message">${translate('chart.loading')}</div>`;
+    hideChartReadout();
+
+    try {
+        const points = await getPriceHistory(currencyCode, range);
+        if (request !== chartState.request) return;
+
+        chartState.times = points.map(([time]) => time);
+        chartState.values = points.map(([, price]) => getPageValue(price, currencyCode, pageId));
+        renderChart();
+    } catch (error) {
+        if (request !== chartState.request) return;
+        console.warn('Price history error:', error);
+        document.getElementById('chartArea').innerHTML = `<div class="chart-message">${translate('chart.unavailable')}</div>`;
+    }
+}
+
+function renderChart() {
+    const { times, values } = chartState;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || max || 1;
+
+    const coordinates = values.map((value, index) => {
+        const x = index / (values.length - 1) * CHART_WIDTH;
+        const y = CHART_HEIGHT - (value - min) / span * CHART_HEIGHT;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    const first = values[0];
+    const last = values[values.length - 1];
+    const change = (last - first) / first * 100;
+    const direction = change >= 0 ? 'up' : 'down';
+
+    document.getElementById('chartSummary').innerHTML = `
+        <span class="chart-current">${formatChartValue(last)}</span>
+        <span class="chart-change chart-${direction}">${formatPercent(change)}</span>
+        <span class="chart-range-label">${translate(`chart.over.${chartState.range}`)}</span>
+    `;
+
+    document.getElementById('chartArea').innerHTML = `
+        <div class="chart-axis">
+            <span>${formatChartValue(max)}</span>
+            <span>${formatChartValue(min)}</span>
+        </div>
+        <div class="chart-plot">
+            <svg class="chart-svg chart-${direction}" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none">
+                <polygon class="chart-fill" points="0,${CHART_HEIGHT} ${coordinates.join(' ')} ${CHART_WIDTH},${CHART_HEIGHT}"></polygon>
+                <polyline class="chart-line" points="${coordinates.join(' ')}" vector-effect="non-scaling-stroke"></polyline>
+                <line id="chartCursor" class="chart-cursor" x1="0" x2="0" y1="0" y2="${CHART_HEIGHT}" vector-effect="non-scaling-stroke"></line>
+            </svg>
+            <div class="chart-dates">
+                <span>${formatChartTime(times[0])}</span>
+                <span>${formatChartTime(times[times.length - 1])}</span>
+            </div>
+        </div>
+    `;
+}
+
+// Show the value under the mouse pointer
+function showChartReadout(event) {
+    const svg = document.querySelector('#chartArea .chart-svg');
+    if (!svg || chartState.values.length === 0) return;
+
+    const bounds = svg.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - bounds.left) / bounds.width, 0), 1);
+    const index = Math.round(ratio * (chartState.values.length - 1));
+    const x = index / (chartState.values.length - 1) * CHART_WIDTH;
+
+    const cursor = document.getElementById('chartCursor');
+    cursor.setAttribute('x1', x);
+    cursor.setAttribute('x2', x);
+    cursor.style.display = 'block';
+
+    const timestamp = new Date(chartState.times[index]).toLocaleString(numberFormatSettings.locale);
+    document.getElementById('chartReadout').textContent = `${timestamp} • ${formatChartValue(chartState.values[index])}`;
+}
+
+function hideChartReadout() {
+    const cursor = document.getElementById('chartCursor');
+    if (cursor) cursor.style.display = 'none';
+    document.getElementById('chartReadout').textContent = '';
+}
@@ -0,0 +1,84 @@
+// Interactive converter between any fiat currency and BTC / BITS / satoshis
+
+// Which side of the converter the user typed into last ('fiat' or 'bitcoin')
+let converterSource = 'fiat';
+
+function initConverter() {
+    const fiatSelect = document.getElementById('converterFiatCurrency');
+    const unitSelect = document.getElementById('converterBitcoinUnit');
+
+    unitSelect.innerHTML = Object.entries(BITCOIN_UNITS)
+        .map(([unit, config]) => `<option value="${unit}">${config.name}</option>`)
+        .join('');
+    unitSelect.value = 'sats';
+
+    updateConverterHint();
+    refreshConverterCurrencies();
+
+    document.getElementById('converterFiatAmount').addEventListener('input', () => {
+        converterSource = 'fiat';
+        updateConverter();
+    });
+    document.getElementById('converterBitcoinAmount').addEventListener('input', () => {
+        converterSource = 'bitcoin';
+        updateConverter();
+    });
+    fiatSelect.addEventListener('change', updateConverter);
+    unitSelect.addEventListener('change', updateConverter);
+}
+
+// Example amounts in the user's number format
+function updateConverterHint() {
+    document.getElementById('converterHint').textContent =
+        translate('converter.hint', { examples: `${formatNumber(12345, 0)} · ${formatNumber(37.5, 2)} · 1.5K · 2M` });
+}
+
+// Rebuild the fiat list after the user's currency selection changed
+function refreshConverterCurrencies() {
+    const fiatSelect = document.getElementById('converterFiatCurrency');
+    const selected = fiatSelect.value;
+
+    fiatSelect.innerHTML = Object.entries(currencies)
+        .map(([code, config]) => `<option value="${code}">${config.flag} ${code.toUpperCase()} - ${config.name}</option>`)
+        .join('');
+
+    if (currencies[selected]) {
+        fiatSelect.value = selected;
+    }
+    updateConverter();
+}
+
+// Recalculate the side the user did not type into
+function updateConverter() {
+    const fiatInput = document.getElementById('converterFiatAmount');
+    const bitcoinInput = document.getElementById('converterBitcoinAmount');
+    const fiatCode = document.getElementById('converterFiatCurrency').value;
+    const unit = document.getElementById('converterBitcoinUnit').value;
+    const bitcoinPrice = currentRates[fiatCode];
+
+    const sourceInput = converterSource === 'fiat' ? fiatInput : bitcoinInput;
+    const targetInput = converterSource === 'fiat' ? bitcoinInput : fiatInput;
+
+    fiatInput.classList.remove('invalid');
+    bitcoinInput.classList.remove('invalid');
+
+    if (sourceInput.value.trim() === '' || !bitcoinPrice) {
+        targetInput.value = '';
+        return;
+    }
+
+    const amount = parseAmountInput(sourceInput.value);
+    if (isNaN(amount)) {
+        sourceInput.classList.add('invalid');
+        targetInput.value = '';
+        return;
+    }
+
+    if (converterSource === 'fiat') {
+        const unitAmount = convertFiatToUnits(amount, bitcoinPrice, unit);
+        targetInput.value = formatNumber(unitAmount, fractionDigitsFor(unitAmount, BITCOIN_UNITS[unit].decimals));
+    } else {
+        const fiatAmount = convertUnitsToFiat(amount, bitcoinPrice, unit);
+        targetInput.value = formatNumber(fiatAmount, fractionDigitsFor(fiatAmount, getMinorUnits(fiatCode)));
+    }
+}
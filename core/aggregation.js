@@ -0,0 +1,59 @@
+// Combining quotes for one currency from several providers: quotes that stray too
+// far from the others are set aside and the rest become one price. The page
+// (aggregation.js) asks the providers and shows the breakdown.
+
+export const QUOTE_AGGREGATION_CONFIG = {
+    // Outliers can only be told apart when at least this many sources quote a currency
+    minSourcesForOutliers: 3
+};
+
+// Best to worst; an aggregated rate is only as good as the worst quote in it
+export const RATE_STATUS_RANK = ['live', 'cached', 'approx'];
+
+export function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Sources without a reported volume count with the average weight of those that have one;
+// if none report volume this is a plain average
+export function volumeWeightedAverage(quotes) {
+    const volumes = quotes.map(quote => quote.volume).filter(volume => volume > 0);
+    const fallback = volumes.length ? volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length : 1;
+
+    let total = 0;
+    let weights = 0;
+    quotes.forEach(quote => {
+        const weight = quote.volume > 0 ? quote.volume : fallback;
+        total += quote.price * weight;
+        weights += weight;
+    });
+    return total / weights;
+}
+
+// Combine one currency's quotes ([{ provider, price, volume, status }]) into
+// { price, status, quotes, spread }; mode is 'median' or 'weighted'
+export function aggregateQuotes(quotes, { mode, outlierPercent }) {
+    const middle = median(quotes.map(quote => quote.price));
+    const canDetectOutliers = quotes.length >= QUOTE_AGGREGATION_CONFIG.minSourcesForOutliers;
+
+    const marked = quotes.map(quote => ({
+        ...quote,
+        deviation: (quote.price - middle) / middle * 100,
+        outlier: canDetectOutliers && Math.abs(quote.price - middle) / middle * 100 > outlierPercent
+    }));
+    // With an even number of widely spread quotes even the middle ones can look like outliers
+    if (marked.every(quote => quote.outlier)) {
+        marked.forEach(quote => { quote.outlier = false; });
+    }
+    const kept = marked.filter(quote => !quote.outlier);
+    const prices = kept.map(quote => quote.price);
+
+    return {
+        price: mode === 'weighted' ? volumeWeightedAverage(kept) : median(prices),
+        status: RATE_STATUS_RANK[Math.max(...kept.map(quote => RATE_STATUS_RANK.indexOf(quote.status)))],
+        quotes: marked,
+        spread: (Math.max(...prices) - Math.min(...prices)) / middle * 100
+    };
+}
@@ -0,0 +1,29 @@
+// Price alert rules, evaluated against a set of rates. The page (alerts.js) keeps the
+// rules, delivers the notifications and records the history.
+//
+// A rule: { pageId, currency, amount, condition: 'above' | 'below', threshold,
+//           repeat: 'once' | 'rearm', armed }
+
+import { PAGE_DENOMINATIONS, convertFiatToUnits, convertUnitsToFiat } from './units.js';
+
+// The value a rule compares against its threshold, for a BTC price in the rule's currency
+export function getAlertValue(rule, bitcoinPrice) {
+    const { unit, mode } = PAGE_DENOMINATIONS[rule.pageId];
+    return mode === 'fiat-per-unit'
+        ? convertUnitsToFiat(rule.amount, bitcoinPrice, unit)
+        : convertFiatToUnits(rule.amount, bitcoinPrice, unit);
+}
+
+// What a rate update does to a rule: 'fire', 'rearm' or null. Approximate rates may
+// be days old or estimated from another currency, so they neither fire nor re-arm it.
+export function checkAlertRule(rule, rates, status = {}) {
+    const bitcoinPrice = rates[rule.currency];
+    if (!bitcoinPrice || status[rule.currency] === 'approx') return null;
+
+    const value = getAlertValue(rule, bitcoinPrice);
+    const met = rule.condition === 'above' ? value >= rule.threshold : value <= rule.threshold;
+
+    if (met && rule.armed) return 'fire';
+    if (!met && !rule.armed && rule.repeat === 'rearm') return 'rearm';
+    return null;
+}
@@ -0,0 +1,176 @@
+// Number formatting and parsing shared by every card, the converter, charts and
+// trends. Respects the user's locale, each currency's ISO minor units and the
+// compact/full and scientific notation preferences in numberFormatSettings,
+// which the page loads from and saves to localStorage (see format.js).
+
+import { ISO_4217 } from './iso4217.js';
+import { BITCOIN_UNITS, PAGE_DENOMINATIONS, getUnitSuffixPattern } from './units.js';
+
+export const NUMBER_FORMAT_CONFIG = {
+    storageKey: 'numberFormat',
+    // Unit amounts at or above this are abbreviated in compact notation (23.26K sats)
+    compactThreshold: 1000,
+    // Values below this may be shown in scientific notation when allowed
+    scientificThreshold: 0.000001,
+    // Significant digits kept for values below 1
+    smallValueDigits: 4
+};
+
+// notation:   'compact' abbreviates large BTC/BITS/sats amounts, 'full' shows every digit
+// scientific: 'auto' allows scientific notation for tiny values, 'never' always shows decimals
+// Change its properties rather than replacing it; the page shares this object.
+export const numberFormatSettings = {
+    locale: (typeof navigator !== 'undefined' && navigator.language) || 'en-US',
+    notation: 'compact',
+    scientific: 'auto'
+};
+
+const numberFormatters = {};
+
+// Intl.NumberFormat instances are expensive to create, so reuse them
+export function getNumberFormatter(options) {
+    const key = `${numberFormatSettings.locale} ${JSON.stringify(options)}`;
+    if (!numberFormatters[key]) {
+        try {
+            numberFormatters[key] = new Intl.NumberFormat(numberFormatSettings.locale, options);
+        } catch (error) {
+            numberFormatters[key] = new Intl.NumberFormat('en-US', options);
+        }
+    }
+    return numberFormatters[key];
+}
+
+// Enough decimals to keep `digits` significant digits of a value below 1
+export function fractionDigitsFor(value, minimum, digits = NUMBER_FORMAT_CONFIG.smallValueDigits) {
+    const magnitude = Math.abs(value);
+    if (magnitude === 0 || magnitude >= 1) return minimum;
+    return Math.min(Math.max(minimum, Math.ceil(-Math.log10(magnitude)) + digits - 1), 20);
+}
+
+export function useScientific(value) {
+    return numberFormatSettings.scientific === 'auto' &&
+        value !== 0 && Math.abs(value) < NUMBER_FORMAT_CONFIG.scientificThreshold;
+}
+
+export function getMinorUnits(currencyCode) {
+    const metadata = ISO_4217[currencyCode];
+    return metadata ? metadata.minorUnits : 2;
+}
+
+// Plain locale-formatted number, e.g. for input fields
+export function formatNumber(value, maximumFractionDigits) {
+    return getNumberFormatter({ maximumFractionDigits }).format(value);
+}
+
+// Fiat value with the currency's symbol, e.g. "$43,000.00", "¥6,400,000" or "€0.0006012".
+// Options:
+//   dropWholeDecimals - show whole amounts without decimals ("$20" rather than "$20.00")
+export function formatFiat(value, currencyCode, { dropWholeDecimals = false } = {}) {
+    const minorUnits = dropWholeDecimals && Number.isInteger(value) ? 0 : getMinorUnits(currencyCode);
+    const scientific = useScientific(value);
+    const fractionDigits = scientific ? 2 : fractionDigitsFor(value, minorUnits);
+
+    const options = {
+        style: 'currency',
+        currency: currencyCode.toUpperCase(),
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    };
+    if (scientific) options.notation = 'scientific';
+
+    // Keep the locale's symbol placement, but use our own symbol (S$ rather than SGD)
+    const symbol = (ISO_4217[currencyCode] || {}).symbol;
+    try {
+        const parts = getNumberFormatter(options).formatToParts(value);
+        // A leading "SGD 1.00" needs its spacing dropped once the code becomes "S$"
+        const replacesCode = symbol && !/^[A-Za-z]+$/.test(symbol) &&
+            parts.some(part => part.type === 'currency' && /^[A-Z]{3}$/.test(part.value));
+
+        return parts
+            .filter((part, index) => !(replacesCode && index === 1 && parts[0].type === 'currency' && part.type === 'literal'))
+            .map(part => (part.type === 'currency' && symbol ? symbol : part.value))
+            .join('');
+    } catch (error) {
+        return `${symbol || currencyCode.toUpperCase()}${formatNumber(value, fractionDigits)}`;
+    }
+}
+
+// Amount of a bitcoin unit with its name, e.g. "0.00002326 BTC", "23.26 BITS" or "2.33K sats"
+export function formatUnitAmount(value, unit) {
+    const { decimals, name, compact } = BITCOIN_UNITS[unit];
+    const magnitude = Math.abs(value);
+
+    if (useScientific(value)) {
+        return `${getNumberFormatter({ notation: 'scientific', maximumFractionDigits: 2 }).format(value)} ${name}`;
+    }
+
+    if (compact && numberFormatSettings.notation === 'compact' && magnitude >= NUMBER_FORMAT_CONFIG.compactThreshold) {
+        // Some locales only abbreviate from larger magnitudes (e.g. 万 in Japanese); otherwise use full notation
+        const parts = getNumberFormatter({ notation: 'compact', maximumFractionDigits: 2 }).formatToParts(value);
+        if (parts.some(part => part.type === 'compact')) {
+            return `${parts.map(part => part.value).join('')} ${name}`;
+        }
+    }
+
+    const options = {
+        minimumFractionDigits: magnitude < 1 ? 0 : decimals,
+        maximumFractionDigits: fractionDigitsFor(value, decimals)
+    };
+    return `${getNumberFormatter(options).format(value)} ${name}`;
+}
+
+// Signed percentage, e.g. "+2.50%"
+export function formatPercent(value) {
+    return getNumberFormatter({
+        style: 'percent',
+        signDisplay: 'exceptZero',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value / 100);
+}
+
+// A value as shown on a page: fiat per unit, or units per fiat amount
+export function formatPageValue(value, currencyCode, pageId) {
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
+    return mode === 'fiat-per-unit' ? formatFiat(value, currencyCode) : formatUnitAmount(value, unit);
+}
+
+// The locale's decimal separator, used when parsing typed amounts
+export function getDecimalSeparator() {
+    const part = getNumberFormatter({ minimumFractionDigits: 1 }).formatToParts(1.1).find(item => item.type === 'decimal');
+    return part ? part.value : '.';
+}
+
+export const AMOUNT_SUFFIXES = {
+    'k': 1000,
+    'm': 1000000,
+    'b': 1000000000
+};
+
+// Parse a user-entered amount such as "12,345", "€37.50", "1.5K" or "2M sats".
+// Separators follow the user's locale, so "12.345,6" works where the decimal separator is a comma.
+export function parseAmountInput(text, decimalSeparator = getDecimalSeparator()) {
+    let value = String(text).trim().toLowerCase();
+
+    // Drop trailing unit names while the space still tells "2M BTC" from "2 mBTC"
+    value = value.replace(getUnitSuffixPattern(), '').trim();
+
+    // Drop thousands separators and whitespace, then normalise the decimal separator
+    if (decimalSeparator === ',' && !value.includes(',') && /\.(\d{1,2}|\d{4,})[kmb]?$/.test(value)) {
+        // "37.50" or "1.5K" typed with a point is still clearly a decimal
+        value = value.replace(/[\s_'\u00a0\u202f]/g, '');
+    } else if (decimalSeparator === ',') {
+        value = value.replace(/[\s._'\u00a0\u202f]/g, '').replace(',', '.');
+    } else {
+        value = value.replace(/[\s,_'\u00a0\u202f]/g, '');
+    }
+
+    // Drop leading currency symbols/codes
+    value = value.replace(/^[^\d.]+/, '');
+
+    const match = value.match(/^(\d+(?:\.\d*)?|\.\d+)([kmb])?$/);
+    if (!match) return NaN;
+
+    const multiplier = match[2] ? AMOUNT_SUFFIXES[match[2]] : 1;
+    return parseFloat(match[1]) * multiplier;
+}
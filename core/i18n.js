@@ -0,0 +1,119 @@
+// Interface text in several languages. Every string the page shows is looked up
+// by key in the message catalogues in core/locales/, falling back to English for
+// keys a catalogue doesn't have yet. Currency names come from Intl.DisplayNames.
+//
+// Messages are strings with {placeholders}, or objects of Intl.PluralRules
+// categories ({ one: '{count} day ago', other: '{count} days ago' }) chosen by the
+// `count` parameter. Number parameters are formatted for the locale. Messages may
+// contain markup; the page inserts them as HTML.
+//
+// To add a language, add core/locales/<tag>.js with the keys of en.js and list it
+// in MESSAGE_CATALOGUES. Right-to-left languages are laid out mirrored (see
+// getTextDirection() and the logical CSS properties in styles.css).
+
+import { ISO_4217 } from './iso4217.js';
+import { formatNumber } from './format.js';
+import { messages as en } from './locales/en.js';
+import { messages as ptBR } from './locales/pt-BR.js';
+import { messages as ja } from './locales/ja.js';
+import { messages as ko } from './locales/ko.js';
+
+export const I18N_CONFIG = {
+    storageKey: 'language',
+    defaultLanguage: 'en',
+    // Base languages written right to left
+    rtlLanguages: ['ar', 'fa', 'he', 'ur']
+};
+
+// BCP 47 tag: messages
+export const MESSAGE_CATALOGUES = {
+    'en': en,
+    'pt-BR': ptBR,
+    'ja': ja,
+    'ko': ko
+};
+
+// language: tag of the catalogue in use
+// Change its properties rather than replacing it; the page shares this object.
+export const i18nSettings = {
+    language: I18N_CONFIG.defaultLanguage
+};
+
+const pluralRules = {};
+const currencyDisplayNames = {};
+
+function getBaseLanguage(tag) {
+    return String(tag).split('-')[0].toLowerCase();
+}
+
+// The catalogue best matching a list of preferred tags (e.g. navigator.languages):
+// the first exact match, or else the first catalogue of the same base language
+// ("pt-PT" gets pt-BR, "en-GB" gets en), or else English
+export function resolveLanguage(preferred = []) {
+    const available = Object.keys(MESSAGE_CATALOGUES);
+
+    for (const tag of preferred) {
+        const exact = available.find(language => language.toLowerCase() === String(tag).toLowerCase());
+        if (exact) return exact;
+
+        const sameBase = available.find(language => getBaseLanguage(language) === getBaseLanguage(tag));
+        if (sameBase) return sameBase;
+    }
+    return I18N_CONFIG.defaultLanguage;
+}
+
+export function getTextDirection(language = i18nSettings.language) {
+    return I18N_CONFIG.rtlLanguages.includes(getBaseLanguage(language)) ? 'rtl' : 'ltr';
+}
+
+function getPluralCategory(language, count) {
+    if (!pluralRules[language]) {
+        pluralRules[language] = new Intl.PluralRules(language);
+    }
+    return pluralRules[language].select(count);
+}
+
+function getMessage(language, key) {
+    const messages = MESSAGE_CATALOGUES[language] || {};
+    return key in messages ? messages[key] : MESSAGE_CATALOGUES[I18N_CONFIG.defaultLanguage][key];
+}
+
+export function hasMessage(key) {
+    return getMessage(i18nSettings.language, key) !== undefined;
+}
+
+// The message for `key` in the current language (or `language`) with its
+// {placeholders} filled in; unknown keys come back as the key itself so they stand out
+export function translate(key, params = {}, language = i18nSettings.language) {
+    let message = getMessage(language, key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        message = message[getPluralCategory(language, params.count)] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined) return placeholder;
+        return typeof value === 'number' ? formatNumber(value, 20) : value;
+    });
+}
+
+// "Japanese Yen", "Iene japonês", "日本円", "일본 엔화"; the built-in English name
+// when the browser doesn't know the currency
+export function getCurrencyDisplayName(currencyCode, language = i18nSettings.language) {
+    const fallback = ISO_4217[currencyCode] ? ISO_4217[currencyCode].name : currencyCode.toUpperCase();
+    if (typeof Intl.DisplayNames !== 'function') return fallback;
+
+    if (!currencyDisplayNames[language]) {
+        currencyDisplayNames[language] = new Intl.DisplayNames([language], { type: 'currency', fallback: 'none' });
+    }
+    return currencyDisplayNames[language].of(currencyCode.toUpperCase()) || fallback;
+}
+
+// A language's name in that language, e.g. "日本語", for the language picker
+export function getLanguageDisplayName(language) {
+    if (typeof Intl.DisplayNames !== 'function') return language;
+    const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+    return name.charAt(0).toLocaleUpperCase(language) + name.slice(1);
+}
@@ -0,0 +1,15 @@
+// The DOM-free core of the app: bitcoin units and conversions, number formatting
+// and parsing, the rate providers with their fallback chain, multi-source quote
+// aggregation, price alert rules, payment requests with their QR codes, and the
+// interface messages in every language. The page imports it through main.js; the Node tests in test/ import it
+// directly.
+
+export * from './iso4217.js';
+export * from './units.js';
+export * from './format.js';
+export * from './providers.js';
+export * from './aggregation.js';
+export * from './alerts.js';
+export * from './payment.js';
+export * from './qrcode.js';
+export * from './i18n.js';
@@ -0,0 +1,112 @@
+// Built-in ISO 4217 currency metadata: display name, symbol, flag and the
+// number of minor units (decimal places) the currency uses
+
+export const ISO_4217 = {
+    'aed': { name: 'UAE Dirham', symbol: 'د.إ', flag: '🇦🇪', minorUnits: 2 },
+    'afn': { name: 'Afghan Afghani', symbol: '؋', flag: '🇦🇫', minorUnits: 2 },
+    'all': { name: 'Albanian Lek', symbol: 'L', flag: '🇦🇱', minorUnits: 2 },
+    'amd': { name: 'Armenian Dram', symbol: '֏', flag: '🇦🇲', minorUnits: 2 },
+    'ang': { name: 'Netherlands Antillean Guilder', symbol: 'ƒ', flag: '🇨🇼', minorUnits: 2 },
+    'aoa': { name: 'Angolan Kwanza', symbol: 'Kz', flag: '🇦🇴', minorUnits: 2 },
+    'ars': { name: 'Argentine Peso', symbol: '$', flag: '🇦🇷', minorUnits: 2 },
+    'aud': { name: 'Australian Dollar', symbol: 'A$', flag: '🇦🇺', minorUnits: 2 },
+    'azn': { name: 'Azerbaijani Manat', symbol: '₼', flag: '🇦🇿', minorUnits: 2 },
+    'bam': { name: 'Bosnia-Herzegovina Convertible Mark', symbol: 'KM', flag: '🇧🇦', minorUnits: 2 },
+    'bbd': { name: 'Barbadian Dollar', symbol: 'Bds$', flag: '🇧🇧', minorUnits: 2 },
+    'bdt': { name: 'Bangladeshi Taka', symbol: '৳', flag: '🇧🇩', minorUnits: 2 },
+    'bgn': { name: 'Bulgarian Lev', symbol: 'лв', flag: '🇧🇬', minorUnits: 2 },
+    'bhd': { name: 'Bahraini Dinar', symbol: 'BD', flag: '🇧🇭', minorUnits: 3 },
+    'bmd': { name: 'Bermudian Dollar', symbol: '$', flag: '🇧🇲', minorUnits: 2 },
+    'bob': { name: 'Bolivian Boliviano', symbol: 'Bs', flag: '🇧🇴', minorUnits: 2 },
+    'brl': { name: 'Brazilian Real', symbol: 'R$', flag: '🇧🇷', minorUnits: 2 },
+    'bsd': { name: 'Bahamian Dollar', symbol: 'B$', flag: '🇧🇸', minorUnits: 2 },
+    'bwp': { name: 'Botswana Pula', symbol: 'P', flag: '🇧🇼', minorUnits: 2 },
+    'byn': { name: 'Belarusian Ruble', symbol: 'Br', flag: '🇧🇾', minorUnits: 2 },
+    'bzd': { name: 'Belize Dollar', symbol: 'BZ$', flag: '🇧🇿', minorUnits: 2 },
+    'cad': { name: 'Canadian Dollar', symbol: 'C$', flag: '🇨🇦', minorUnits: 2 },
+    'cdf': { name: 'Congolese Franc', symbol: 'FC', flag: '🇨🇩', minorUnits: 2 },
+    'chf': { name: 'Swiss Franc', symbol: 'CHF', flag: '🇨🇭', minorUnits: 2 },
+    'clp': { name: 'Chilean Peso', symbol: '$', flag: '🇨🇱', minorUnits: 0 },
+    'cny': { name: 'Chinese Yuan', symbol: '¥', flag: '🇨🇳', minorUnits: 2 },
+    'cop': { name: 'Colombian Peso', symbol: '$', flag: '🇨🇴', minorUnits: 2 },
+    'crc': { name: 'Costa Rican Colón', symbol: '₡', flag: '🇨🇷', minorUnits: 2 },
+    'czk': { name: 'Czech Koruna', symbol: 'Kč', flag: '🇨🇿', minorUnits: 2 },
+    'dkk': { name: 'Danish Krone', symbol: 'kr', flag: '🇩🇰', minorUnits: 2 },
+    'dop': { name: 'Dominican Peso', symbol: 'RD$', flag: '🇩🇴', minorUnits: 2 },
+    'dzd': { name: 'Algerian Dinar', symbol: 'DA', flag: '🇩🇿', minorUnits: 2 },
+    'egp': { name: 'Egyptian Pound', symbol: 'E£', flag: '🇪🇬', minorUnits: 2 },
+    'etb': { name: 'Ethiopian Birr', symbol: 'Br', flag: '🇪🇹', minorUnits: 2 },
+    'eur': { name: 'Euro', symbol: '€', flag: '🇪🇺', minorUnits: 2 },
+    'gbp': { name: 'British Pound', symbol: '£', flag: '🇬🇧', minorUnits: 2 },
+    'gel': { name: 'Georgian Lari', symbol: '₾', flag: '🇬🇪', minorUnits: 2 },
+    'ghs': { name: 'Ghanaian Cedi', symbol: 'GH₵', flag: '🇬🇭', minorUnits: 2 },
+    'gtq': { name: 'Guatemalan Quetzal', symbol: 'Q', flag: '🇬🇹', minorUnits: 2 },
+    'hkd': { name: 'Hong Kong Dollar', symbol: 'HK$', flag: '🇭🇰', minorUnits: 2 },
+    'hnl': { name: 'Honduran Lempira', symbol: 'L', flag: '🇭🇳', minorUnits: 2 },
+    'huf': { name: 'Hungarian Forint', symbol: 'Ft', flag: '🇭🇺', minorUnits: 2 },
+    'idr': { name: 'Indonesian Rupiah', symbol: 'Rp', flag: '🇮🇩', minorUnits: 2 },
+    'ils': { name: 'Israeli New Shekel', symbol: '₪', flag: '🇮🇱', minorUnits: 2 },
+    'inr': { name: 'Indian Rupee', symbol: '₹', flag: '🇮🇳', minorUnits: 2 },
+    'iqd': { name: 'Iraqi Dinar', symbol: 'ع.د', flag: '🇮🇶', minorUnits: 3 },
+    'irr': { name: 'Iranian Rial', symbol: '﷼', flag: '🇮🇷', minorUnits: 2 },
+    'isk': { name: 'Icelandic Króna', symbol: 'kr', flag: '🇮🇸', minorUnits: 0 },
+    'jmd': { name: 'Jamaican Dollar', symbol: 'J$', flag: '🇯🇲', minorUnits: 2 },
+    'jod': { name: 'Jordanian Dinar', symbol: 'JD', flag: '🇯🇴', minorUnits: 3 },
+    'jpy': { name: 'Japanese Yen', symbol: '¥', flag: '🇯🇵', minorUnits: 0 },
+    'kes': { name: 'Kenyan Shilling', symbol: 'KSh', flag: '🇰🇪', minorUnits: 2 },
+    'kgs': { name: 'Kyrgyzstani Som', symbol: 'с', flag: '🇰🇬', minorUnits: 2 },
+    'khr': { name: 'Cambodian Riel', symbol: '៛', flag: '🇰🇭', minorUnits: 2 },
+    'krw': { name: 'South Korean Won', symbol: '₩', flag: '🇰🇷', minorUnits: 0 },
+    'kwd': { name: 'Kuwaiti Dinar', symbol: 'KD', flag: '🇰🇼', minorUnits: 3 },
+    'kzt': { name: 'Kazakhstani Tenge', symbol: '₸', flag: '🇰🇿', minorUnits: 2 },
+    'lak': { name: 'Lao Kip', symbol: '₭', flag: '🇱🇦', minorUnits: 2 },
+    'lbp': { name: 'Lebanese Pound', symbol: 'L£', flag: '🇱🇧', minorUnits: 2 },
+    'lkr': { name: 'Sri Lankan Rupee', symbol: 'Rs', flag: '🇱🇰', minorUnits: 2 },
+    'mad': { name: 'Moroccan Dirham', symbol: 'DH', flag: '🇲🇦', minorUnits: 2 },
+    'mdl': { name: 'Moldovan Leu', symbol: 'L', flag: '🇲🇩', minorUnits: 2 },
+    'mkd': { name: 'Macedonian Denar', symbol: 'ден', flag: '🇲🇰', minorUnits: 2 },
+    'mmk': { name: 'Myanmar Kyat', symbol: 'K', flag: '🇲🇲', minorUnits: 2 },
+    'mnt': { name: 'Mongolian Tögrög', symbol: '₮', flag: '🇲🇳', minorUnits: 2 },
+    'mur': { name: 'Mauritian Rupee', symbol: '₨', flag: '🇲🇺', minorUnits: 2 },
+    'mxn': { name: 'Mexican Peso', symbol: '$', flag: '🇲🇽', minorUnits: 2 },
+    'myr': { name: 'Malaysian Ringgit', symbol: 'RM', flag: '🇲🇾', minorUnits: 2 },
+    'mzn': { name: 'Mozambican Metical', symbol: 'MT', flag: '🇲🇿', minorUnits: 2 },
+    'nad': { name: 'Namibian Dollar', symbol: 'N$', flag: '🇳🇦', minorUnits: 2 },
+    'ngn': { name: 'Nigerian Naira', symbol: '₦', flag: '🇳🇬', minorUnits: 2 },
+    'nio': { name: 'Nicaraguan Córdoba', symbol: 'C$', flag: '🇳🇮', minorUnits: 2 },
+    'nok': { name: 'Norwegian Krone', symbol: 'kr', flag: '🇳🇴', minorUnits: 2 },
+    'npr': { name: 'Nepalese Rupee', symbol: 'Rs', flag: '🇳🇵', minorUnits: 2 },
+    'nzd': { name: 'New Zealand Dollar', symbol: 'NZ$', flag: '🇳🇿', minorUnits: 2 },
+    'omr': { name: 'Omani Rial', symbol: 'ر.ع.', flag: '🇴🇲', minorUnits: 3 },
+    'pab': { name: 'Panamanian Balboa', symbol: 'B/.', flag: '🇵🇦', minorUnits: 2 },
+    'pen': { name: 'Peruvian Sol', symbol: 'S/', flag: '🇵🇪', minorUnits: 2 },
+    'php': { name: 'Philippine Peso', symbol: '₱', flag: '🇵🇭', minorUnits: 2 },
+    'pkr': { name: 'Pakistani Rupee', symbol: 'Rs', flag: '🇵🇰', minorUnits: 2 },
+    'pln': { name: 'Polish Złoty', symbol: 'zł', flag: '🇵🇱', minorUnits: 2 },
+    'pyg': { name: 'Paraguayan Guaraní', symbol: '₲', flag: '🇵🇾', minorUnits: 0 },
+    'qar': { name: 'Qatari Riyal', symbol: 'QR', flag: '🇶🇦', minorUnits: 2 },
+    'ron': { name: 'Romanian Leu', symbol: 'lei', flag: '🇷🇴', minorUnits: 2 },
+    'rsd': { name: 'Serbian Dinar', symbol: 'din', flag: '🇷🇸', minorUnits: 2 },
+    'rub': { name: 'Russian Ruble', symbol: '₽', flag: '🇷🇺', minorUnits: 2 },
+    'rwf': { name: 'Rwandan Franc', symbol: 'FRw', flag: '🇷🇼', minorUnits: 0 },
+    'sar': { name: 'Saudi Riyal', symbol: 'SR', flag: '🇸🇦', minorUnits: 2 },
+    'sek': { name: 'Swedish Krona', symbol: 'kr', flag: '🇸🇪', minorUnits: 2 },
+    'sgd': { name: 'Singapore Dollar', symbol: 'S$', flag: '🇸🇬', minorUnits: 2 },
+    'thb': { name: 'Thai Baht', symbol: '฿', flag: '🇹🇭', minorUnits: 2 },
+    'tnd': { name: 'Tunisian Dinar', symbol: 'DT', flag: '🇹🇳', minorUnits: 3 },
+    'try': { name: 'Turkish Lira', symbol: '₺', flag: '🇹🇷', minorUnits: 2 },
+    'ttd': { name: 'Trinidad and Tobago Dollar', symbol: 'TT$', flag: '🇹🇹', minorUnits: 2 },
+    'twd': { name: 'Taiwan Dollar', symbol: 'NT$', flag: '🇹🇼', minorUnits: 2 },
+    'tzs': { name: 'Tanzanian Shilling', symbol: 'TSh', flag: '🇹🇿', minorUnits: 2 },
+    'uah': { name: 'Ukrainian Hryvnia', symbol: '₴', flag: '🇺🇦', minorUnits: 2 },
+    'ugx': { name: 'Ugandan Shilling', symbol: 'USh', flag: '🇺🇬', minorUnits: 0 },
+    'usd': { name: 'US Dollar', symbol: '$', flag: '🇺🇸', minorUnits: 2 },
+    'uyu': { name: 'Uruguayan Peso', symbol: '$U', flag: '🇺🇾', minorUnits: 2 },
+    'uzs': { name: 'Uzbekistani Som', symbol: 'soʻm', flag: '🇺🇿', minorUnits: 2 },
+    'ves': { name: 'Venezuelan Bolívar', symbol: 'Bs.', flag: '🇻🇪', minorUnits: 2 },
+    'vnd': { name: 'Vietnamese Dong', symbol: '₫', flag: '🇻🇳', minorUnits: 0 },
+    'xaf': { name: 'Central African CFA Franc', symbol: 'FCFA', flag: '🇨🇲', minorUnits: 0 },
+    'xof': { name: 'West African CFA Franc', symbol: 'CFA', flag: '🇸🇳', minorUnits: 0 },
+    'zar': { name: 'South African Rand', symbol: 'R', flag: '🇿🇦', minorUnits: 2 },
+    'zmw': { name: 'Zambian Kwacha', symbol: 'ZK', flag: '🇿🇲', minorUnits: 2 }
+};
@@ -0,0 +1,226 @@
+// English messages; the reference catalogue every other language follows (see core/i18n.js)
+
+export const messages = {
+    'app.title': 'Bitcoin Exchange Rates',
+
+    'header.unitInfo': '1 Bitcoin = 1,000,000 BITS = 100,000,000 satoshis',
+    'header.unitTabs': 'Bitcoin unit',
+    'header.refresh': 'Refresh Rates',
+    'loading.rates': 'Loading exchange rates...',
+
+    'common.currency': 'Currency',
+    'common.amount': 'Amount',
+
+    'options.show': 'Show',
+    'options.filterPlaceholder': 'All currencies (e.g. EUR, USD)',
+    'options.sort': 'Sort',
+    'options.sortDefault': 'Default order',
+    'options.sortRise': 'Biggest 24h rise first',
+    'options.sortFall': 'Biggest 24h fall first',
+    'options.numbers': 'Numbers',
+    'options.compact': 'Compact (2.33K sats)',
+    'options.full': 'Full (2,326 sats)',
+    'options.scientific': 'Scientific notation',
+    'options.scientificAuto': 'Scientific for tiny values',
+    'options.scientificNever': 'Never scientific',
+    'options.theme': 'Theme',
+    'options.language': 'Language',
+
+    'language.auto': 'Browser language',
+
+    'theme.system': 'Match system',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.highContrast': 'High contrast',
+
+    'nav.pages': '{unit} pages',
+    'nav.fiatPerUnit': 'Fiat per {unit}',
+    'nav.unitsPerFiat': '{unit} per Fiat',
+    'page.fiatPerUnit': 'How much fiat currency per {unit}',
+    'page.unitsPerFiat': 'How much {unit} you can buy with major fiat amounts',
+    'page.unitsPerFiatCountable': 'How many {unit} you can buy with major fiat amounts',
+
+    'matrix.tab': 'ALL',
+    'matrix.title': 'Every unit side by side',
+    'matrix.unitsPerAmount': '{unit} per amount',
+    'matrix.caption': 'Bitcoin price in every unit; the "per amount" columns use the amount in the second column',
+    'matrix.empty': 'No currencies match the filter',
+
+    'status.live': 'live',
+    'status.liveTitle': 'Live price from the rate provider',
+    'status.cached': 'cached',
+    'status.cachedTitle': 'Converted with the last known fiat cross-rate',
+    'status.approx': 'approx.',
+    'status.approxTitle': 'Approximated - may be out of date',
+
+    'update.loading': 'Loading...',
+    'update.lastUpdated': 'Last updated: {time} • Source: {source}',
+    'update.cachedSource': '{source} (cached)',
+    'announce.updated': 'Rates updated from {source}. {code}: {value}',
+
+    'source.live': 'Live Data',
+    'source.mock': 'Local Mock Data',
+    'source.sample': 'Sample Data',
+    'source.selfhosted': 'Self-hosted Rates API',
+    'source.coindesk': 'CoinDesk API + forex cross-rates',
+    'source.aggregate': 'Multiple sources (aggregated)',
+    'source.stream': 'Streaming ticker',
+    'notice.coindesk': 'Using CoinDesk fallback API with forex cross-rates. Check the live/cached/approx. label on each card.',
+
+    'error.noData': 'No exchange rate data available',
+    'error.storedRates': 'API Error - Showing the last stored rates. Please check your internet connection.',
+    'error.sampleRates': 'API Error - Using sample rates. Please check your internet connection.',
+    'error.history': 'Could not read the stored rate history.',
+
+    'age.justNow': 'just now',
+    'age.minutes': '{count} min ago',
+    'age.hours': '{count} h ago',
+    'age.days': { one: '{count} day ago', other: '{count} days ago' },
+
+    'offline.sample': 'Offline — no rates have been stored on this device yet, showing sample rates',
+    'offline.stored': 'Offline — showing rates as of {time} ({age}). They will refresh when the connection returns.',
+
+    'autoRefresh.label': 'Auto-refresh',
+    'autoRefresh.off': 'Off',
+    'autoRefresh.seconds': '{count} s',
+    'autoRefresh.minutes': '{count} min',
+    'autoRefresh.refreshing': 'Refreshing...',
+    'autoRefresh.streaming': 'Streaming, no polling needed',
+    'autoRefresh.paused': 'Auto-refresh paused',
+    'autoRefresh.next': 'Next refresh in {time}',
+    'autoRefresh.nextBackingOff': 'Next refresh in {time} (backing off after errors)',
+
+    'streaming.toggle': 'Stream live prices',
+    'streaming.connecting': 'Connecting…',
+    'streaming.live': '● Live',
+    'streaming.reconnecting': 'Reconnecting… (polling meanwhile)',
+
+    'aggregation.label': 'Sources',
+    'aggregation.single': 'First source that answers',
+    'aggregation.median': 'Median of all sources',
+    'aggregation.weighted': 'Volume-weighted average',
+    'aggregation.outlierBefore': 'Drop quotes more than',
+    'aggregation.outlierAfter': '% from the median',
+    'aggregation.summary': { one: '{count} source · spread {spread}', other: '{count} sources · spread {spread}' },
+    'aggregation.outlier': 'outlier ({deviation})',
+
+    'trends.title': 'Change over the last 24 hours',
+
+    'export.title': 'Export this page:',
+    'export.history': 'History CSV',
+    'export.print': 'Print price list',
+
+    'converter.title': 'Converter',
+    'converter.fiatAmount': 'Fiat amount',
+    'converter.fiatCurrency': 'Fiat currency',
+    'converter.bitcoinAmount': 'Bitcoin amount',
+    'converter.bitcoinUnit': 'Bitcoin unit',
+    'converter.hint': 'Type in either field. Accepts {examples}',
+
+    'currencySettings.title': 'Currencies',
+    'currencySettings.hint': 'Drag to reorder, ☆ to pin a favourite to the top, untick to hide. The amounts, separated by "/", are listed on the "per Fiat" pages; clear them to go back to the defaults.',
+    'currencySettings.addLabel': 'Currency to add',
+    'currencySettings.add': 'Add currency',
+    'currencySettings.reset': 'Reset to defaults',
+    'currencySettings.show': 'Show {code}',
+    'currencySettings.pin': 'Pin to top',
+    'currencySettings.unpin': 'Unpin',
+    'currencySettings.amounts': 'Amounts listed for {code}',
+    'currencySettings.remove': 'Remove {code}',
+
+    'alerts.title': 'Price alerts',
+    'alerts.page': 'What to watch',
+    'alerts.condition': 'Condition',
+    'alerts.above': 'at or above',
+    'alerts.below': 'at or below',
+    'alerts.threshold': 'Threshold',
+    'alerts.thresholdPlaceholder': 'Threshold, e.g. 0.10 or 10K',
+    'alerts.repeat': 'Repeat',
+    'alerts.once': 'Once',
+    'alerts.rearm': 'Every time it crosses',
+    'alerts.add': 'Add alert',
+    'alerts.history': 'History',
+    'alerts.clearHistory': 'Clear history',
+    'alerts.ruleBuys': '{amount} buys {sign} {threshold}',
+    'alerts.notificationTitle': 'Price alert: {rule}',
+    'alerts.notificationBody': 'Now {value}',
+    'alerts.preview': 'Currently {value}',
+    'alerts.dismiss': 'Dismiss alert',
+    'alerts.permissionUnsupported': 'This browser has no notifications, so alerts appear on this page while it is open.',
+    'alerts.permissionGranted': 'Alerts arrive as browser notifications while this page is open.',
+    'alerts.permissionDenied': 'Notifications are blocked for this site, so alerts appear on this page while it is open.',
+    'alerts.permissionDefault': 'You will be asked to allow notifications when you add an alert.',
+    'alerts.empty': 'No alerts yet',
+    'alerts.armedRepeats': 'Armed · repeats',
+    'alerts.armedOnce': 'Armed · once',
+    'alerts.fired': 'Fired {time}',
+    'alerts.rearmButton': 'Re-arm',
+    'alerts.delete': 'Delete alert',
+    'alerts.historyEmpty': 'No alerts have fired yet',
+
+    'priceList.title': 'Price list',
+    'priceList.hint': 'Enter items with their fiat price to see them in bitcoin at the current rate. CSV files use <code>name,price</code> columns.',
+    'priceList.currency': 'Prices in',
+    'priceList.markup': 'Markup / discount %',
+    'priceList.rounding': 'Round to',
+    'priceList.exact': 'Exact',
+    'priceList.roundingSats': { one: '{count} sat', other: '{count} sats' },
+    'priceList.roundingOneBits': '{count} sats (1 BITS)',
+    'priceList.item': 'Item',
+    'priceList.itemName': 'Item name',
+    'priceList.price': 'Price',
+    'priceList.itemPrice': 'Item price',
+    'priceList.add': 'Add item',
+    'priceList.import': 'Import CSV',
+    'priceList.export': 'Export CSV',
+    'priceList.clear': 'Clear list',
+    'priceList.clearConfirm': 'Remove every item from the price list?',
+    'priceList.empty': 'No items yet',
+    'priceList.remove': 'Remove item',
+
+    'payment.title': 'Payment request',
+    'payment.hint': 'Quote an amount in bitcoin at the current rate for the customer to scan with their wallet. The QR code is made on this device; nothing is sent anywhere.',
+    'payment.payTo': 'Pay to',
+    'payment.address': 'Bitcoin address to receive payments',
+    'payment.label': 'Label',
+    'payment.labelPlaceholder': 'Shop name',
+    'payment.validFor': 'Quote valid for',
+    'payment.expiryMinutes': '{count} min',
+    'payment.expiryHours': '{count} h',
+    'payment.amount': 'Amount to charge',
+    'payment.create': 'Create request',
+    'payment.requote': 'Re-quote at current rate',
+    'payment.copy': 'Copy link',
+    'payment.copied': 'Copied',
+    'payment.open': 'Open in wallet',
+    'payment.needAddress': 'Enter the bitcoin address the payment should go to.',
+    'payment.needAmount': 'Enter an amount greater than zero.',
+    'payment.noRate': 'There is no {code} rate yet.',
+    'payment.approxRate': 'The {code} rate is only an approximation. Refresh the rates before creating a request.',
+    'payment.oldRate': 'The rates are from {age}. Refresh them before creating a request.',
+    'payment.qrLabel': 'QR code for {amount}',
+    'payment.rate': 'At {price} per BTC, quoted {time}',
+    'payment.countdown': 'Rate held for {time}',
+    'payment.expired': 'Quote expired',
+    'payment.expiredHint': 'This quote has expired. Re-quote to charge at the current rate.',
+    'payment.copyFailed': 'Could not copy the link; select it and copy it by hand.',
+    'payment.sats': { one: '{count} sat', other: '{count} sats' },
+
+    'widget.loading': 'Loading…',
+    'widget.unavailable': 'Rate unavailable',
+    'widget.unknownCurrency': 'Unknown currency',
+
+    'chart.close': 'Close chart',
+    'chart.fiatPerUnit': '{code} per 1 {unit}',
+    'chart.unitsPerAmount': '{unit} per {amount}',
+    'chart.loading': 'Loading price history...',
+    'chart.unavailable': 'Price history is not available right now.',
+    'chart.range.24h': '24h',
+    'chart.range.7d': '7d',
+    'chart.range.30d': '30d',
+    'chart.range.1y': '1y',
+    'chart.over.24h': 'over 24h',
+    'chart.over.7d': 'over 7d',
+    'chart.over.30d': 'over 30d',
+    'chart.over.1y': 'over 1y'
+};
@@ -0,0 +1,226 @@
+// Japanese messages (keys as in en.js)
+
+export const messages = {
+    'app.title': 'ビットコイン為替レート',
+
+    'header.unitInfo': '1 ビットコイン = 1,000,000 BITS = 100,000,000 satoshi',
+    'header.unitTabs': 'ビットコインの単位',
+    'header.refresh': 'レートを更新',
+    'loading.rates': '為替レートを読み込んでいます...',
+
+    'common.currency': '通貨',
+    'common.amount': '金額',
+
+    'options.show': '表示',
+    'options.filterPlaceholder': 'すべての通貨（例: JPY, USD）',
+    'options.sort': '並べ替え',
+    'options.sortDefault': '標準の順序',
+    'options.sortRise': '24時間の上昇率が大きい順',
+    'options.sortFall': '24時間の下落率が大きい順',
+    'options.numbers': '数値',
+    'options.compact': '短縮（23.26万 sats）',
+    'options.full': '全桁（232,600 sats）',
+    'options.scientific': '指数表記',
+    'options.scientificAuto': 'ごく小さい値は指数表記',
+    'options.scientificNever': '指数表記を使わない',
+    'options.theme': 'テーマ',
+    'options.language': '言語',
+
+    'language.auto': 'ブラウザの言語',
+
+    'theme.system': 'システムに合わせる',
+    'theme.light': 'ライト',
+    'theme.dark': 'ダーク',
+    'theme.highContrast': 'ハイコントラスト',
+
+    'nav.pages': '{unit} のページ',
+    'nav.fiatPerUnit': '{unit} あたりの法定通貨',
+    'nav.unitsPerFiat': '法定通貨あたりの {unit}',
+    'page.fiatPerUnit': '1 {unit} は法定通貨でいくら',
+    'page.unitsPerFiat': '主な金額で買える {unit} の量',
+    'page.unitsPerFiatCountable': '主な金額で買える {unit} の数',
+
+    'matrix.tab': 'すべて',
+    'matrix.title': 'すべての単位を並べて比較',
+    'matrix.unitsPerAmount': '金額あたりの {unit}',
+    'matrix.caption': 'すべての単位でのビットコイン価格。「金額あたり」の列は2列目の金額を基準にしています',
+    'matrix.empty': 'フィルターに一致する通貨はありません',
+
+    'status.live': 'ライブ',
+    'status.liveTitle': 'レート提供元からのリアルタイム価格',
+    'status.cached': 'キャッシュ',
+    'status.cachedTitle': '最後に取得した為替レートで換算',
+    'status.approx': '概算',
+    'status.approxTitle': '概算値 - 古い可能性があります',
+
+    'update.loading': '読み込み中...',
+    'update.lastUpdated': '最終更新: {time} • 提供元: {source}',
+    'update.cachedSource': '{source}（キャッシュ）',
+    'announce.updated': '{source} からレートを更新しました。{code}: {value}',
+
+    'source.live': 'ライブデータ',
+    'source.mock': 'ローカルのモックデータ',
+    'source.sample': 'サンプルデータ',
+    'source.selfhosted': 'セルフホストのレート API',
+    'source.coindesk': 'CoinDesk API + 為替クロスレート',
+    'source.aggregate': '複数の提供元（集計）',
+    'source.stream': 'ストリーミングティッカー',
+    'notice.coindesk': 'CoinDesk の予備 API と為替クロスレートを使用しています。各カードのライブ/キャッシュ/概算の表示を確認してください。',
+
+    'error.noData': '為替レートのデータがありません',
+    'error.storedRates': 'API エラー - 最後に保存したレートを表示しています。インターネット接続を確認してください。',
+    'error.sampleRates': 'API エラー - サンプルのレートを使用しています。インターネット接続を確認してください。',
+    'error.history': '保存されたレート履歴を読み込めませんでした。',
+
+    'age.justNow': 'たった今',
+    'age.minutes': '{count} 分前',
+    'age.hours': '{count} 時間前',
+    'age.days': { other: '{count} 日前' },
+
+    'offline.sample': 'オフライン — この端末にはまだレートが保存されていないため、サンプルのレートを表示しています',
+    'offline.stored': 'オフライン — {time}（{age}）時点のレートを表示しています。接続が戻ると更新されます。',
+
+    'autoRefresh.label': '自動更新',
+    'autoRefresh.off': 'オフ',
+    'autoRefresh.seconds': '{count} 秒',
+    'autoRefresh.minutes': '{count} 分',
+    'autoRefresh.refreshing': '更新中...',
+    'autoRefresh.streaming': 'ストリーミング中のため定期取得は不要です',
+    'autoRefresh.paused': '自動更新は一時停止中',
+    'autoRefresh.next': '次の更新まで {time}',
+    'autoRefresh.nextBackingOff': '次の更新まで {time}（エラーのため間隔を延長中）',
+
+    'streaming.toggle': 'リアルタイム価格を配信',
+    'streaming.connecting': '接続中…',
+    'streaming.live': '● ライブ',
+    'streaming.reconnecting': '再接続中…（その間は定期取得）',
+
+    'aggregation.label': '提供元',
+    'aggregation.single': '最初に応答した提供元',
+    'aggregation.median': '全提供元の中央値',
+    'aggregation.weighted': '出来高加重平均',
+    'aggregation.outlierBefore': '中央値から',
+    'aggregation.outlierAfter': '% 以上離れた値を除外',
+    'aggregation.summary': { other: '提供元 {count} 件 · 開き {spread}' },
+    'aggregation.outlier': '外れ値（{deviation}）',
+
+    'trends.title': '過去24時間の変化',
+
+    'export.title': 'このページをエクスポート:',
+    'export.history': '履歴 CSV',
+    'export.print': '価格表を印刷',
+
+    'converter.title': '換算',
+    'converter.fiatAmount': '法定通貨の金額',
+    'converter.fiatCurrency': '法定通貨',
+    'converter.bitcoinAmount': 'ビットコインの金額',
+    'converter.bitcoinUnit': 'ビットコインの単位',
+    'converter.hint': 'どちらの欄にも入力できます。入力例: {examples}',
+
+    'currencySettings.title': '通貨',
+    'currencySettings.hint': 'ドラッグで並べ替え、☆でお気に入りを先頭に固定、チェックを外すと非表示になります。「/」で区切った金額は「法定通貨あたり」のページに表示されます。空にすると標準に戻ります。',
+    'currencySettings.addLabel': '追加する通貨',
+    'currencySettings.add': '通貨を追加',
+    'currencySettings.reset': '標準に戻す',
+    'currencySettings.show': '{code} を表示',
+    'currencySettings.pin': '先頭に固定',
+    'currencySettings.unpin': '固定を解除',
+    'currencySettings.amounts': '{code} で表示する金額',
+    'currencySettings.remove': '{code} を削除',
+
+    'alerts.title': '価格アラート',
+    'alerts.page': '監視する対象',
+    'alerts.condition': '条件',
+    'alerts.above': '以上',
+    'alerts.below': '以下',
+    'alerts.threshold': 'しきい値',
+    'alerts.thresholdPlaceholder': 'しきい値（例: 0.10 や 10K）',
+    'alerts.repeat': '繰り返し',
+    'alerts.once': '1回のみ',
+    'alerts.rearm': '超えるたびに',
+    'alerts.add': 'アラートを追加',
+    'alerts.history': '履歴',
+    'alerts.clearHistory': '履歴を消去',
+    'alerts.ruleBuys': '{amount} で買える量 {sign} {threshold}',
+    'alerts.notificationTitle': '価格アラート: {rule}',
+    'alerts.notificationBody': '現在 {value}',
+    'alerts.preview': '現在 {value}',
+    'alerts.dismiss': 'アラートを閉じる',
+    'alerts.permissionUnsupported': 'このブラウザは通知に対応していないため、アラートはこのページを開いている間にページ内に表示されます。',
+    'alerts.permissionGranted': 'このページを開いている間、アラートはブラウザの通知で届きます。',
+    'alerts.permissionDenied': 'このサイトの通知はブロックされているため、アラートはこのページを開いている間にページ内に表示されます。',
+    'alerts.permissionDefault': 'アラートを追加すると、通知の許可を求められます。',
+    'alerts.empty': 'アラートはまだありません',
+    'alerts.armedRepeats': '有効 · 繰り返し',
+    'alerts.armedOnce': '有効 · 1回のみ',
+    'alerts.fired': '{time} に通知',
+    'alerts.rearmButton': '再度有効にする',
+    'alerts.delete': 'アラートを削除',
+    'alerts.historyEmpty': '通知されたアラートはまだありません',
+
+    'priceList.title': '価格表',
+    'priceList.hint': '商品と法定通貨での価格を入力すると、現在のレートでビットコイン建ての価格が表示されます。CSV ファイルは <code>name,price</code> の列を使います。',
+    'priceList.currency': '価格の通貨',
+    'priceList.markup': '上乗せ / 割引 %',
+    'priceList.rounding': '端数処理',
+    'priceList.exact': 'そのまま',
+    'priceList.roundingSats': { other: '{count} sats' },
+    'priceList.roundingOneBits': '{count} sats（1 BITS）',
+    'priceList.item': '商品',
+    'priceList.itemName': '商品名',
+    'priceList.price': '価格',
+    'priceList.itemPrice': '商品の価格',
+    'priceList.add': '商品を追加',
+    'priceList.import': 'CSV を読み込む',
+    'priceList.export': 'CSV を書き出す',
+    'priceList.clear': '価格表を消去',
+    'priceList.clearConfirm': '価格表の商品をすべて削除しますか？',
+    'priceList.empty': '商品はまだありません',
+    'priceList.remove': '商品を削除',
+
+    'payment.title': '支払い請求',
+    'payment.hint': '現在のレートでビットコインの金額を提示し、お客様にウォレットで読み取ってもらいます。QR コードはこの端末で作成され、どこにも送信されません。',
+    'payment.payTo': '受取先',
+    'payment.address': '支払いを受け取るビットコインアドレス',
+    'payment.label': 'ラベル',
+    'payment.labelPlaceholder': '店名',
+    'payment.validFor': '提示額の有効期間',
+    'payment.expiryMinutes': '{count} 分',
+    'payment.expiryHours': '{count} 時間',
+    'payment.amount': '請求金額',
+    'payment.create': '請求を作成',
+    'payment.requote': '現在のレートで再計算',
+    'payment.copy': 'リンクをコピー',
+    'payment.copied': 'コピーしました',
+    'payment.open': 'ウォレットで開く',
+    'payment.needAddress': '支払いを受け取るビットコインアドレスを入力してください。',
+    'payment.needAmount': '0 より大きい金額を入力してください。',
+    'payment.noRate': '{code} のレートはまだありません。',
+    'payment.approxRate': '{code} のレートは概算値です。請求を作成する前にレートを更新してください。',
+    'payment.oldRate': 'レートは {age} のものです。請求を作成する前に更新してください。',
+    'payment.qrLabel': '{amount} の QR コード',
+    'payment.rate': '1 BTC = {price}、{time} に算出',
+    'payment.countdown': 'このレートの有効時間 {time}',
+    'payment.expired': '提示額の期限切れ',
+    'payment.expiredHint': 'この提示額は期限切れです。再計算して現在のレートで請求してください。',
+    'payment.copyFailed': 'リンクをコピーできませんでした。選択して手動でコピーしてください。',
+    'payment.sats': { other: '{count} サトシ' },
+
+    'widget.loading': '読み込み中…',
+    'widget.unavailable': 'レートを取得できません',
+    'widget.unknownCurrency': '不明な通貨',
+
+    'chart.close': 'チャートを閉じる',
+    'chart.fiatPerUnit': '1 {unit} あたりの {code}',
+    'chart.unitsPerAmount': '{amount} あたりの {unit}',
+    'chart.loading': '価格履歴を読み込んでいます...',
+    'chart.unavailable': '現在、価格履歴を利用できません。',
+    'chart.range.24h': '24時間',
+    'chart.range.7d': '7日',
+    'chart.range.30d': '30日',
+    'chart.range.1y': '1年',
+    'chart.over.24h': '24時間の変化',
+    'chart.over.7d': '7日間の変化',
+    'chart.over.30d': '30日間の変化',
+    'chart.over.1y': '1年間の変化'
+};
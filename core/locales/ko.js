@@ -0,0 +1,226 @@
+// Korean messages (keys as in en.js)
+
+export const messages = {
+    'app.title': '비트코인 환율',
+
+    'header.unitInfo': '1 비트코인 = 1,000,000 BITS = 100,000,000 사토시',
+    'header.unitTabs': '비트코인 단위',
+    'header.refresh': '환율 새로고침',
+    'loading.rates': '환율을 불러오는 중...',
+
+    'common.currency': '통화',
+    'common.amount': '금액',
+
+    'options.show': '표시',
+    'options.filterPlaceholder': '모든 통화 (예: KRW, USD)',
+    'options.sort': '정렬',
+    'options.sortDefault': '기본 순서',
+    'options.sortRise': '24시간 상승률 높은 순',
+    'options.sortFall': '24시간 하락률 높은 순',
+    'options.numbers': '숫자',
+    'options.compact': '축약 (23.26만 sats)',
+    'options.full': '전체 (232,600 sats)',
+    'options.scientific': '과학적 표기법',
+    'options.scientificAuto': '아주 작은 값은 과학적 표기',
+    'options.scientificNever': '과학적 표기 사용 안 함',
+    'options.theme': '테마',
+    'options.language': '언어',
+
+    'language.auto': '브라우저 언어',
+
+    'theme.system': '시스템 설정',
+    'theme.light': '라이트',
+    'theme.dark': '다크',
+    'theme.highContrast': '고대비',
+
+    'nav.pages': '{unit} 페이지',
+    'nav.fiatPerUnit': '{unit}당 법정화폐',
+    'nav.unitsPerFiat': '법정화폐당 {unit}',
+    'page.fiatPerUnit': '1 {unit}의 법정화폐 가격',
+    'page.unitsPerFiat': '주요 금액으로 살 수 있는 {unit}의 양',
+    'page.unitsPerFiatCountable': '주요 금액으로 살 수 있는 {unit}의 개수',
+
+    'matrix.tab': '전체',
+    'matrix.title': '모든 단위 한눈에 비교',
+    'matrix.unitsPerAmount': '금액당 {unit}',
+    'matrix.caption': '모든 단위의 비트코인 가격입니다. "금액당" 열은 두 번째 열의 금액을 기준으로 합니다',
+    'matrix.empty': '필터와 일치하는 통화가 없습니다',
+
+    'status.live': '실시간',
+    'status.liveTitle': '환율 제공처의 실시간 가격',
+    'status.cached': '캐시',
+    'status.cachedTitle': '마지막으로 알려진 교차 환율로 환산',
+    'status.approx': '추정',
+    'status.approxTitle': '추정치 - 오래된 값일 수 있습니다',
+
+    'update.loading': '불러오는 중...',
+    'update.lastUpdated': '마지막 업데이트: {time} • 출처: {source}',
+    'update.cachedSource': '{source} (캐시)',
+    'announce.updated': '{source}에서 환율을 업데이트했습니다. {code}: {value}',
+
+    'source.live': '실시간 데이터',
+    'source.mock': '로컬 모의 데이터',
+    'source.sample': '샘플 데이터',
+    'source.selfhosted': '자체 호스팅 환율 API',
+    'source.coindesk': 'CoinDesk API + 교차 환율',
+    'source.aggregate': '여러 출처 (집계)',
+    'source.stream': '스트리밍 시세',
+    'notice.coindesk': 'CoinDesk 예비 API와 교차 환율을 사용하고 있습니다. 각 카드의 실시간/캐시/추정 표시를 확인하세요.',
+
+    'error.noData': '환율 데이터가 없습니다',
+    'error.storedRates': 'API 오류 - 마지막으로 저장된 환율을 표시합니다. 인터넷 연결을 확인하세요.',
+    'error.sampleRates': 'API 오류 - 샘플 환율을 사용합니다. 인터넷 연결을 확인하세요.',
+    'error.history': '저장된 환율 기록을 읽을 수 없습니다.',
+
+    'age.justNow': '방금',
+    'age.minutes': '{count}분 전',
+    'age.hours': '{count}시간 전',
+    'age.days': { other: '{count}일 전' },
+
+    'offline.sample': '오프라인 — 이 기기에 저장된 환율이 아직 없어 샘플 환율을 표시합니다',
+    'offline.stored': '오프라인 — {time}({age}) 기준 환율을 표시합니다. 연결이 복구되면 새로고침됩니다.',
+
+    'autoRefresh.label': '자동 새로고침',
+    'autoRefresh.off': '끔',
+    'autoRefresh.seconds': '{count}초',
+    'autoRefresh.minutes': '{count}분',
+    'autoRefresh.refreshing': '새로고침 중...',
+    'autoRefresh.streaming': '스트리밍 중이라 주기적 조회가 필요 없습니다',
+    'autoRefresh.paused': '자동 새로고침 일시 중지됨',
+    'autoRefresh.next': '다음 새로고침까지 {time}',
+    'autoRefresh.nextBackingOff': '다음 새로고침까지 {time} (오류로 간격을 늘리는 중)',
+
+    'streaming.toggle': '실시간 가격 스트리밍',
+    'streaming.connecting': '연결 중…',
+    'streaming.live': '● 실시간',
+    'streaming.reconnecting': '다시 연결 중… (그동안 주기적 조회)',
+
+    'aggregation.label': '출처',
+    'aggregation.single': '가장 먼저 응답한 출처',
+    'aggregation.median': '모든 출처의 중앙값',
+    'aggregation.weighted': '거래량 가중 평균',
+    'aggregation.outlierBefore': '중앙값에서',
+    'aggregation.outlierAfter': '% 넘게 벗어난 시세 제외',
+    'aggregation.summary': { other: '출처 {count}곳 · 편차 {spread}' },
+    'aggregation.outlier': '이상값 ({deviation})',
+
+    'trends.title': '최근 24시간 변동',
+
+    'export.title': '이 페이지 내보내기:',
+    'export.history': '기록 CSV',
+    'export.print': '가격표 인쇄',
+
+    'converter.title': '변환기',
+    'converter.fiatAmount': '법정화폐 금액',
+    'converter.fiatCurrency': '법정화폐',
+    'converter.bitcoinAmount': '비트코인 금액',
+    'converter.bitcoinUnit': '비트코인 단위',
+    'converter.hint': '어느 칸에든 입력하세요. 입력 예: {examples}',
+
+    'currencySettings.title': '통화',
+    'currencySettings.hint': '드래그해서 순서를 바꾸고, ☆로 즐겨찾기를 맨 위에 고정하고, 체크를 해제하면 숨깁니다. "/"로 구분한 금액은 "법정화폐당" 페이지에 표시되며, 지우면 기본값으로 돌아갑니다.',
+    'currencySettings.addLabel': '추가할 통화',
+    'currencySettings.add': '통화 추가',
+    'currencySettings.reset': '기본값으로 초기화',
+    'currencySettings.show': '{code} 표시',
+    'currencySettings.pin': '맨 위에 고정',
+    'currencySettings.unpin': '고정 해제',
+    'currencySettings.amounts': '{code}에 표시할 금액',
+    'currencySettings.remove': '{code} 삭제',
+
+    'alerts.title': '가격 알림',
+    'alerts.page': '지켜볼 항목',
+    'alerts.condition': '조건',
+    'alerts.above': '이상',
+    'alerts.below': '이하',
+    'alerts.threshold': '기준값',
+    'alerts.thresholdPlaceholder': '기준값, 예: 0.10 또는 10K',
+    'alerts.repeat': '반복',
+    'alerts.once': '한 번',
+    'alerts.rearm': '넘을 때마다',
+    'alerts.add': '알림 추가',
+    'alerts.history': '기록',
+    'alerts.clearHistory': '기록 지우기',
+    'alerts.ruleBuys': '{amount}(으)로 살 수 있는 양 {sign} {threshold}',
+    'alerts.notificationTitle': '가격 알림: {rule}',
+    'alerts.notificationBody': '현재 {value}',
+    'alerts.preview': '현재 {value}',
+    'alerts.dismiss': '알림 닫기',
+    'alerts.permissionUnsupported': '이 브라우저는 알림을 지원하지 않아, 이 페이지가 열려 있는 동안 페이지 안에 알림이 표시됩니다.',
+    'alerts.permissionGranted': '이 페이지가 열려 있는 동안 브라우저 알림으로 알려 드립니다.',
+    'alerts.permissionDenied': '이 사이트의 알림이 차단되어, 이 페이지가 열려 있는 동안 페이지 안에 알림이 표시됩니다.',
+    'alerts.permissionDefault': '알림을 추가하면 알림 허용 여부를 묻습니다.',
+    'alerts.empty': '아직 알림이 없습니다',
+    'alerts.armedRepeats': '활성 · 반복',
+    'alerts.armedOnce': '활성 · 한 번',
+    'alerts.fired': '{time}에 알림',
+    'alerts.rearmButton': '다시 활성화',
+    'alerts.delete': '알림 삭제',
+    'alerts.historyEmpty': '아직 발생한 알림이 없습니다',
+
+    'priceList.title': '가격표',
+    'priceList.hint': '상품과 법정화폐 가격을 입력하면 현재 환율로 비트코인 가격을 보여 줍니다. CSV 파일은 <code>name,price</code> 열을 사용합니다.',
+    'priceList.currency': '가격 통화',
+    'priceList.markup': '할증 / 할인 %',
+    'priceList.rounding': '반올림 단위',
+    'priceList.exact': '그대로',
+    'priceList.roundingSats': { other: '{count} sats' },
+    'priceList.roundingOneBits': '{count} sats (1 BITS)',
+    'priceList.item': '상품',
+    'priceList.itemName': '상품명',
+    'priceList.price': '가격',
+    'priceList.itemPrice': '상품 가격',
+    'priceList.add': '상품 추가',
+    'priceList.import': 'CSV 가져오기',
+    'priceList.export': 'CSV 내보내기',
+    'priceList.clear': '가격표 비우기',
+    'priceList.clearConfirm': '가격표의 모든 상품을 삭제할까요?',
+    'priceList.empty': '아직 상품이 없습니다',
+    'priceList.remove': '상품 삭제',
+
+    'payment.title': '결제 요청',
+    'payment.hint': '현재 환율로 비트코인 금액을 제시하고 고객이 지갑으로 스캔하게 합니다. QR 코드는 이 기기에서 만들어지며 어디에도 전송되지 않습니다.',
+    'payment.payTo': '받는 주소',
+    'payment.address': '결제를 받을 비트코인 주소',
+    'payment.label': '라벨',
+    'payment.labelPlaceholder': '상점 이름',
+    'payment.validFor': '견적 유효 시간',
+    'payment.expiryMinutes': '{count}분',
+    'payment.expiryHours': '{count}시간',
+    'payment.amount': '청구 금액',
+    'payment.create': '요청 만들기',
+    'payment.requote': '현재 환율로 다시 계산',
+    'payment.copy': '링크 복사',
+    'payment.copied': '복사됨',
+    'payment.open': '지갑에서 열기',
+    'payment.needAddress': '결제를 받을 비트코인 주소를 입력하세요.',
+    'payment.needAmount': '0보다 큰 금액을 입력하세요.',
+    'payment.noRate': '아직 {code} 환율이 없습니다.',
+    'payment.approxRate': '{code} 환율은 추정치입니다. 요청을 만들기 전에 환율을 새로고침하세요.',
+    'payment.oldRate': '환율이 {age} 기준입니다. 요청을 만들기 전에 새로고침하세요.',
+    'payment.qrLabel': '{amount} QR 코드',
+    'payment.rate': '1 BTC당 {price}, {time}에 계산',
+    'payment.countdown': '환율 유지 시간 {time}',
+    'payment.expired': '견적 만료',
+    'payment.expiredHint': '이 견적은 만료되었습니다. 다시 계산해서 현재 환율로 청구하세요.',
+    'payment.copyFailed': '링크를 복사할 수 없습니다. 선택해서 직접 복사하세요.',
+    'payment.sats': { other: '{count} 사토시' },
+
+    'widget.loading': '불러오는 중…',
+    'widget.unavailable': '환율을 가져올 수 없음',
+    'widget.unknownCurrency': '알 수 없는 통화',
+
+    'chart.close': '차트 닫기',
+    'chart.fiatPerUnit': '1 {unit}당 {code}',
+    'chart.unitsPerAmount': '{amount}당 {unit}',
+    'chart.loading': '가격 기록을 불러오는 중...',
+    'chart.unavailable': '지금은 가격 기록을 볼 수 없습니다.',
+    'chart.range.24h': '24시간',
+    'chart.range.7d': '7일',
+    'chart.range.30d': '30일',
+    'chart.range.1y': '1년',
+    'chart.over.24h': '24시간 동안',
+    'chart.over.7d': '7일 동안',
+    'chart.over.30d': '30일 동안',
+    'chart.over.1y': '1년 동안'
+};
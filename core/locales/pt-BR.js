@@ -0,0 +1,226 @@
+// Brazilian Portuguese messages (keys as in en.js)
+
+export const messages = {
+    'app.title': 'Cotações do Bitcoin',
+
+    'header.unitInfo': '1 Bitcoin = 1.000.000 BITS = 100.000.000 satoshis',
+    'header.unitTabs': 'Unidade de bitcoin',
+    'header.refresh': 'Atualizar cotações',
+    'loading.rates': 'Carregando cotações...',
+
+    'common.currency': 'Moeda',
+    'common.amount': 'Valor',
+
+    'options.show': 'Mostrar',
+    'options.filterPlaceholder': 'Todas as moedas (ex.: BRL, USD)',
+    'options.sort': 'Ordenar',
+    'options.sortDefault': 'Ordem padrão',
+    'options.sortRise': 'Maior alta em 24h primeiro',
+    'options.sortFall': 'Maior queda em 24h primeiro',
+    'options.numbers': 'Números',
+    'options.compact': 'Compactos (2,33 mil sats)',
+    'options.full': 'Completos (2.326 sats)',
+    'options.scientific': 'Notação científica',
+    'options.scientificAuto': 'Científica para valores muito pequenos',
+    'options.scientificNever': 'Nunca científica',
+    'options.theme': 'Tema',
+    'options.language': 'Idioma',
+
+    'language.auto': 'Idioma do navegador',
+
+    'theme.system': 'Igual ao sistema',
+    'theme.light': 'Claro',
+    'theme.dark': 'Escuro',
+    'theme.highContrast': 'Alto contraste',
+
+    'nav.pages': 'Páginas de {unit}',
+    'nav.fiatPerUnit': 'Moeda por {unit}',
+    'nav.unitsPerFiat': '{unit} por moeda',
+    'page.fiatPerUnit': 'Quanto vale 1 {unit} em cada moeda',
+    'page.unitsPerFiat': 'Quanto {unit} você compra com valores comuns em cada moeda',
+    'page.unitsPerFiatCountable': 'Quantos {unit} você compra com valores comuns em cada moeda',
+
+    'matrix.tab': 'TODAS',
+    'matrix.title': 'Todas as unidades lado a lado',
+    'matrix.unitsPerAmount': '{unit} por valor',
+    'matrix.caption': 'Preço do bitcoin em cada unidade; as colunas "por valor" usam o valor da segunda coluna',
+    'matrix.empty': 'Nenhuma moeda corresponde ao filtro',
+
+    'status.live': 'ao vivo',
+    'status.liveTitle': 'Preço ao vivo do provedor de cotações',
+    'status.cached': 'em cache',
+    'status.cachedTitle': 'Convertido com a última taxa de câmbio conhecida',
+    'status.approx': 'aprox.',
+    'status.approxTitle': 'Aproximado - pode estar desatualizado',
+
+    'update.loading': 'Carregando...',
+    'update.lastUpdated': 'Última atualização: {time} • Fonte: {source}',
+    'update.cachedSource': '{source} (em cache)',
+    'announce.updated': 'Cotações atualizadas de {source}. {code}: {value}',
+
+    'source.live': 'Dados ao vivo',
+    'source.mock': 'Dados simulados locais',
+    'source.sample': 'Dados de exemplo',
+    'source.selfhosted': 'API de cotações própria',
+    'source.coindesk': 'API CoinDesk + câmbio',
+    'source.aggregate': 'Várias fontes (agregadas)',
+    'source.stream': 'Cotações em tempo real',
+    'notice.coindesk': 'Usando a API alternativa da CoinDesk com taxas de câmbio. Confira o selo ao vivo/em cache/aprox. em cada cartão.',
+
+    'error.noData': 'Nenhuma cotação disponível',
+    'error.storedRates': 'Erro na API - Mostrando as últimas cotações salvas. Verifique sua conexão com a internet.',
+    'error.sampleRates': 'Erro na API - Usando cotações de exemplo. Verifique sua conexão com a internet.',
+    'error.history': 'Não foi possível ler o histórico de cotações salvo.',
+
+    'age.justNow': 'agora mesmo',
+    'age.minutes': 'há {count} min',
+    'age.hours': 'há {count} h',
+    'age.days': { one: 'há {count} dia', other: 'há {count} dias' },
+
+    'offline.sample': 'Offline — nenhuma cotação foi salva neste dispositivo ainda; mostrando cotações de exemplo',
+    'offline.stored': 'Offline — mostrando cotações de {time} ({age}). Elas serão atualizadas quando a conexão voltar.',
+
+    'autoRefresh.label': 'Atualização automática',
+    'autoRefresh.off': 'Desligada',
+    'autoRefresh.seconds': '{count} s',
+    'autoRefresh.minutes': '{count} min',
+    'autoRefresh.refreshing': 'Atualizando...',
+    'autoRefresh.streaming': 'Em tempo real, sem consultas periódicas',
+    'autoRefresh.paused': 'Atualização automática pausada',
+    'autoRefresh.next': 'Próxima atualização em {time}',
+    'autoRefresh.nextBackingOff': 'Próxima atualização em {time} (intervalo maior após erros)',
+
+    'streaming.toggle': 'Preços em tempo real',
+    'streaming.connecting': 'Conectando…',
+    'streaming.live': '● Ao vivo',
+    'streaming.reconnecting': 'Reconectando… (consultando enquanto isso)',
+
+    'aggregation.label': 'Fontes',
+    'aggregation.single': 'Primeira fonte que responder',
+    'aggregation.median': 'Mediana de todas as fontes',
+    'aggregation.weighted': 'Média ponderada pelo volume',
+    'aggregation.outlierBefore': 'Descartar cotações a mais de',
+    'aggregation.outlierAfter': '% da mediana',
+    'aggregation.summary': { one: '{count} fonte · dispersão {spread}', other: '{count} fontes · dispersão {spread}' },
+    'aggregation.outlier': 'discrepante ({deviation})',
+
+    'trends.title': 'Variação nas últimas 24 horas',
+
+    'export.title': 'Exportar esta página:',
+    'export.history': 'Histórico CSV',
+    'export.print': 'Imprimir tabela de preços',
+
+    'converter.title': 'Conversor',
+    'converter.fiatAmount': 'Valor em moeda',
+    'converter.fiatCurrency': 'Moeda',
+    'converter.bitcoinAmount': 'Valor em bitcoin',
+    'converter.bitcoinUnit': 'Unidade de bitcoin',
+    'converter.hint': 'Digite em qualquer um dos campos. Aceita {examples}',
+
+    'currencySettings.title': 'Moedas',
+    'currencySettings.hint': 'Arraste para reordenar, ☆ para fixar uma favorita no topo, desmarque para ocultar. Os valores, separados por "/", aparecem nas páginas "por moeda"; apague-os para voltar ao padrão.',
+    'currencySettings.addLabel': 'Moeda a adicionar',
+    'currencySettings.add': 'Adicionar moeda',
+    'currencySettings.reset': 'Restaurar padrão',
+    'currencySettings.show': 'Mostrar {code}',
+    'currencySettings.pin': 'Fixar no topo',
+    'currencySettings.unpin': 'Desafixar',
+    'currencySettings.amounts': 'Valores listados para {code}',
+    'currencySettings.remove': 'Remover {code}',
+
+    'alerts.title': 'Alertas de preço',
+    'alerts.page': 'O que acompanhar',
+    'alerts.condition': 'Condição',
+    'alerts.above': 'maior ou igual a',
+    'alerts.below': 'menor ou igual a',
+    'alerts.threshold': 'Limite',
+    'alerts.thresholdPlaceholder': 'Limite, ex.: 0,10 ou 10K',
+    'alerts.repeat': 'Repetir',
+    'alerts.once': 'Uma vez',
+    'alerts.rearm': 'Sempre que cruzar',
+    'alerts.add': 'Adicionar alerta',
+    'alerts.history': 'Histórico',
+    'alerts.clearHistory': 'Limpar histórico',
+    'alerts.ruleBuys': '{amount} compra {sign} {threshold}',
+    'alerts.notificationTitle': 'Alerta de preço: {rule}',
+    'alerts.notificationBody': 'Agora {value}',
+    'alerts.preview': 'Atualmente {value}',
+    'alerts.dismiss': 'Dispensar alerta',
+    'alerts.permissionUnsupported': 'Este navegador não tem notificações, então os alertas aparecem nesta página enquanto ela estiver aberta.',
+    'alerts.permissionGranted': 'Os alertas chegam como notificações do navegador enquanto esta página estiver aberta.',
+    'alerts.permissionDenied': 'As notificações estão bloqueadas para este site, então os alertas aparecem nesta página enquanto ela estiver aberta.',
+    'alerts.permissionDefault': 'Vamos pedir permissão para notificações quando você adicionar um alerta.',
+    'alerts.empty': 'Nenhum alerta ainda',
+    'alerts.armedRepeats': 'Ativo · repete',
+    'alerts.armedOnce': 'Ativo · uma vez',
+    'alerts.fired': 'Disparado em {time}',
+    'alerts.rearmButton': 'Reativar',
+    'alerts.delete': 'Excluir alerta',
+    'alerts.historyEmpty': 'Nenhum alerta disparou ainda',
+
+    'priceList.title': 'Tabela de preços',
+    'priceList.hint': 'Cadastre itens com o preço em moeda para vê-los em bitcoin pela cotação atual. Arquivos CSV usam as colunas <code>name,price</code>.',
+    'priceList.currency': 'Preços em',
+    'priceList.markup': 'Acréscimo / desconto %',
+    'priceList.rounding': 'Arredondar para',
+    'priceList.exact': 'Exato',
+    'priceList.roundingSats': { one: '{count} sat', other: '{count} sats' },
+    'priceList.roundingOneBits': '{count} sats (1 BITS)',
+    'priceList.item': 'Item',
+    'priceList.itemName': 'Nome do item',
+    'priceList.price': 'Preço',
+    'priceList.itemPrice': 'Preço do item',
+    'priceList.add': 'Adicionar item',
+    'priceList.import': 'Importar CSV',
+    'priceList.export': 'Exportar CSV',
+    'priceList.clear': 'Limpar tabela',
+    'priceList.clearConfirm': 'Remover todos os itens da tabela de preços?',
+    'priceList.empty': 'Nenhum item ainda',
+    'priceList.remove': 'Remover item',
+
+    'payment.title': 'Cobrança',
+    'payment.hint': 'Cote um valor em bitcoin pela cotação atual para o cliente escanear com a carteira. O QR code é gerado neste dispositivo; nada é enviado para lugar nenhum.',
+    'payment.payTo': 'Pagar para',
+    'payment.address': 'Endereço bitcoin que recebe os pagamentos',
+    'payment.label': 'Identificação',
+    'payment.labelPlaceholder': 'Nome da loja',
+    'payment.validFor': 'Cotação válida por',
+    'payment.expiryMinutes': '{count} min',
+    'payment.expiryHours': '{count} h',
+    'payment.amount': 'Valor a cobrar',
+    'payment.create': 'Criar cobrança',
+    'payment.requote': 'Cotar de novo pela cotação atual',
+    'payment.copy': 'Copiar link',
+    'payment.copied': 'Copiado',
+    'payment.open': 'Abrir na carteira',
+    'payment.needAddress': 'Informe o endereço bitcoin que deve receber o pagamento.',
+    'payment.needAmount': 'Informe um valor maior que zero.',
+    'payment.noRate': 'Ainda não há cotação de {code}.',
+    'payment.approxRate': 'A cotação de {code} é apenas aproximada. Atualize as cotações antes de criar uma cobrança.',
+    'payment.oldRate': 'As cotações são de {age}. Atualize-as antes de criar uma cobrança.',
+    'payment.qrLabel': 'QR code de {amount}',
+    'payment.rate': 'A {price} por BTC, cotado às {time}',
+    'payment.countdown': 'Cotação garantida por {time}',
+    'payment.expired': 'Cotação expirada',
+    'payment.expiredHint': 'Esta cotação expirou. Cote de novo para cobrar pela cotação atual.',
+    'payment.copyFailed': 'Não foi possível copiar o link; selecione-o e copie manualmente.',
+    'payment.sats': { one: '{count} sat', other: '{count} sats' },
+
+    'widget.loading': 'Carregando…',
+    'widget.unavailable': 'Cotação indisponível',
+    'widget.unknownCurrency': 'Moeda desconhecida',
+
+    'chart.close': 'Fechar gráfico',
+    'chart.fiatPerUnit': '{code} por 1 {unit}',
+    'chart.unitsPerAmount': '{unit} por {amount}',
+    'chart.loading': 'Carregando histórico de preços...',
+    'chart.unavailable': 'O histórico de preços não está disponível no momento.',
+    'chart.range.24h': '24h',
+    'chart.range.7d': '7d',
+    'chart.range.30d': '30d',
+    'chart.range.1y': '1a',
+    'chart.over.24h': 'em 24h',
+    'chart.over.7d': 'em 7 dias',
+    'chart.over.30d': 'em 30 dias',
+    'chart.over.1y': 'em 1 ano'
+};
@@ -0,0 +1,67 @@
+// Payment requests: a fiat amount quoted in bitcoin at a given rate for a limited
+// time, and the BIP21 `bitcoin:` URI wallets read from the QR code.
+// https://github.com/bitcoin/bips/blob/master/bip-0021.mediawiki
+
+import { BITCOIN_UNITS, convertFiatToUnits } from './units.js';
+
+// Legacy (1…), script (3…) and bech32/bech32m (bc1…) mainnet addresses, and their
+// testnet forms. Only the shape is checked; wallets verify the checksum.
+const ADDRESS_PATTERNS = [
+    /^[13mn2][1-9A-HJ-NP-Za-km-z]{25,34}$/,
+    /^(bc|tb|bcrt)1[02-9ac-hj-np-z]{11,87}$/i
+];
+
+export function isBitcoinAddress(address) {
+    const text = String(address).trim();
+    // bech32 addresses are either all lower or all upper case
+    if (text !== text.toLowerCase() && text !== text.toUpperCase() && /^(bc|tb|bcrt)1/i.test(text)) return false;
+    return ADDRESS_PATTERNS.some(pattern => pattern.test(text));
+}
+
+// A sats amount as BIP21 wants it: decimal BTC, no exponent, no trailing zeros
+export function formatBip21Amount(sats) {
+    return (Math.round(sats) / BITCOIN_UNITS.sats.perBtc).toFixed(8).replace(/\.?0+$/, '');
+}
+
+// bitcoin:<address>?amount=<btc>&label=<label>&message=<message>; empty parameters are left out
+export function buildBip21Uri({ address, sats, label = '', message = '' }) {
+    const params = [];
+    if (sats > 0) params.push(`amount=${formatBip21Amount(sats)}`);
+    if (label) params.push(`label=${encodeURIComponent(label)}`);
+    if (message) params.push(`message=${encodeURIComponent(message)}`);
+
+    return `bitcoin:${String(address).trim()}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+// Quote `fiatAmount` of a currency at `bitcoinPrice` (fiat per BTC), valid for
+// `expirySeconds` from `now`. Amounts are whole sats, since that is all a payment can carry.
+export function createPaymentQuote({ fiatAmount, currencyCode, bitcoinPrice, expirySeconds, now = Date.now() }) {
+    if (!(fiatAmount > 0)) {
+        throw new Error('Enter an amount greater than zero.');
+    }
+    if (!(bitcoinPrice > 0)) {
+        throw new Error(`No ${currencyCode.toUpperCase()} rate to quote with.`);
+    }
+
+    return {
+        fiatAmount,
+        currencyCode,
+        bitcoinPrice,
+        sats: Math.max(Math.round(convertFiatToUnits(fiatAmount, bitcoinPrice, 'sats')), 1),
+        createdAt: now,
+        expiresAt: now + expirySeconds * 1000
+    };
+}
+
+// Whole seconds until the quote expires, 0 once it has
+export function getQuoteSecondsLeft(quote, now = Date.now()) {
+    return Math.max(Math.ceil((quote.expiresAt - now) / 1000), 0);
+}
+
+// "14:05" or "1:00:00"
+export function formatCountdown(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
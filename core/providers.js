@@ -0,0 +1,444 @@
+// Pluggable rate providers and the fallback chain that asks them in turn. No DOM or
+// storage access: requests go through the global fetch(), which the tests replace,
+// or whatever setUpstreamFetch() installs (the Node server's caching proxy).
+//
+// A provider is an object with:
+//   id         - key used in RATE_PROVIDER_CONFIG.order and updateLastUpdateTime()
+//   label      - text shown as the data source in the UI
+//   notice     - optional message shown when this provider supplied the rates
+//   isEnabled  - optional function; disabled providers are skipped
+//   fetchRates - async (currencyCodes, { timeout }) => { rates, status }
+//                rates:  { [code]: btcPrice }
+//                status: optional { [code]: 'live' | 'cached' | 'approx' }, defaults to 'live'
+//                changes: optional { [code]: 24h % change of the BTC price }
+//                volumes: optional { [code]: BTC traded over 24h }, used for volume-weighted aggregation
+//   fetchHistory - optional async (currencyCode, days, { timeout }) => [[timestampMs, btcPrice], ...]
+//   fetchSupportedCurrencies - optional async ({ timeout }) => ['usd', 'eur', ...]
+
+export const rateProviders = {};
+
+// Providers are tried in this order until one answers, or all queried at once when aggregating (aggregation.js)
+export const RATE_PROVIDER_CONFIG = {
+    order: ['coingecko', 'coindesk', 'kraken', 'selfhosted'],
+    defaultTimeout: 8000,
+    timeouts: {
+        'coingecko': 8000,
+        'coindesk': 6000,
+        'kraken': 6000
+    },
+    // URL of a self-hosted endpoint returning { "rates": { "usd": 43000, ... } }
+    selfHostedUrl: '',
+    // USD → fiat cross-rates for providers that only know BTC/USD (CoinDesk)
+    crossRatesUrl: 'https://open.er-api.com/v6/latest/USD',
+    mockUrl: 'mock-rates.json',
+    // Path of a caching proxy for the endpoints below, e.g. 'proxy' when served by server/;
+    // set by detectRatesServer()
+    proxyUrl: '',
+    // Host and path of every upstream call the providers make; the server proxies nothing else
+    proxiedEndpoints: [
+        'api.coingecko.com/api/v3/simple/price',
+        'api.coingecko.com/api/v3/coins/bitcoin/market_chart',
+        'api.coingecko.com/api/v3/simple/supported_vs_currencies',
+        'api.kraken.com/0/public/Ticker',
+        'api.coindesk.com/v1/bpi/currentprice.json',
+        'open.er-api.com/v6/latest/USD'
+    ],
+    serverStatusUrl: 'api/status'
+};
+
+export function registerRateProvider(provider) {
+    rateProviders[provider.id] = provider;
+}
+
+export function getRateProvider(id) {
+    return rateProviders[id];
+}
+
+export function setRateProviderOrder(order) {
+    RATE_PROVIDER_CONFIG.order = order.filter(id => rateProviders[id]);
+}
+
+export function setRateProviderTimeout(id, timeout) {
+    RATE_PROVIDER_CONFIG.timeouts[id] = timeout;
+}
+
+export function getRateProviderTimeout(id) {
+    return RATE_PROVIDER_CONFIG.timeouts[id] || RATE_PROVIDER_CONFIG.defaultTimeout;
+}
+
+// fetch() used for upstream requests; the Node server swaps in its caching proxy
+let upstreamFetch = (url, options) => fetch(url, options);
+
+export function setUpstreamFetch(fetchImpl) {
+    upstreamFetch = fetchImpl;
+}
+
+// An upstream URL rewritten to go through the proxy, e.g.
+// https://api.kraken.com/0/public/Ticker → proxy/api.kraken.com/0/public/Ticker
+export function getProxiedUrl(url) {
+    const match = /^https:\/\/([^/?#]+)([^?#]*)(.*)$/.exec(url);
+    if (!RATE_PROVIDER_CONFIG.proxyUrl || !match || !RATE_PROVIDER_CONFIG.proxiedEndpoints.includes(match[1] + match[2])) {
+        return url;
+    }
+    return `${RATE_PROVIDER_CONFIG.proxyUrl}/${match[1]}${match[2]}${match[3]}`;
+}
+
+// Ask the server the page came from whether it proxies the upstream APIs. Static
+// hosting has no status endpoint, so the providers keep calling them directly.
+export async function detectRatesServer(timeout = 2000) {
+    try {
+        const response = await fetchWithTimeout(RATE_PROVIDER_CONFIG.serverStatusUrl, timeout);
+        const status = await response.json();
+        if (typeof status.proxy === 'string') {
+            RATE_PROVIDER_CONFIG.proxyUrl = status.proxy;
+        }
+        return status;
+    } catch (error) {
+        return null;
+    }
+}
+
+// fetch() that gives up after `timeout` milliseconds, through the proxy when there is one
+export async function fetchWithTimeout(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await upstreamFetch(getProxiedUrl(url), { signal: controller.signal });
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Try each configured provider in order; resolves with the first usable answer.
+// `failures` lists the providers that were tried before it and why they failed.
+export async function fetchRatesFromProviders(currencyCodes) {
+    const failures = [];
+
+    for (const id of RATE_PROVIDER_CONFIG.order) {
+        const provider = rateProviders[id];
+        if (!provider || (provider.isEnabled && !provider.isEnabled())) continue;
+
+        try {
+            const { rates, status, changes } = await provider.fetchRates(currencyCodes, { timeout: getRateProviderTimeout(id) });
+            if (!rates || Object.keys(rates).length === 0) {
+                throw new Error('No rates returned');
+            }
+            return { rates, status: status || markRates(rates, 'live'), changes: changes || {}, provider, failures };
+        } catch (error) {
+            console.warn(`${provider.label} failed:`, error);
+            failures.push({ provider, error });
+        }
+    }
+
+    const error = new Error('All rate providers failed');
+    error.failures = failures;
+    throw error;
+}
+
+// Ask the first provider that offers market-chart data for the BTC price history
+export async function fetchPriceHistoryFromProviders(currencyCode, days) {
+    for (const id of RATE_PROVIDER_CONFIG.order) {
+        const provider = rateProviders[id];
+        if (!provider || !provider.fetchHistory || (provider.isEnabled && !provider.isEnabled())) continue;
+
+        try {
+            const points = await provider.fetchHistory(currencyCode, days, { timeout: getRateProviderTimeout(id) });
+            if (points.length > 1) return { points, provider };
+        } catch (error) {
+            console.warn(`${provider.label} history failed:`, error);
+        }
+    }
+
+    throw new Error('No provider could supply price history');
+}
+
+// Currency codes the first provider able to list them can quote BTC in
+export async function fetchSupportedCurrenciesFromProviders() {
+    for (const id of RATE_PROVIDER_CONFIG.order) {
+        const provider = rateProviders[id];
+        if (!provider || !provider.fetchSupportedCurrencies || (provider.isEnabled && !provider.isEnabled())) continue;
+
+        try {
+            return await provider.fetchSupportedCurrencies({ timeout: getRateProviderTimeout(id) });
+        } catch (error) {
+            console.warn(`${provider.label} supported currencies failed:`, error);
+        }
+    }
+
+    throw new Error('No provider could list its supported currencies');
+}
+
+// Keep only positive numeric prices for the requested currencies
+export function pickRates(source, currencyCodes) {
+    const rates = {};
+    currencyCodes.forEach(code => {
+        const price = Number(source[code]);
+        if (price > 0) rates[code] = price;
+    });
+    return rates;
+}
+
+// Label every currency in `rates` with the same status
+export function markRates(rates, status) {
+    const marked = {};
+    Object.keys(rates).forEach(code => {
+        marked[code] = status;
+    });
+    return marked;
+}
+
+// Reads { "rates": {...} } or CoinGecko-style { "bitcoin": {...} } JSON
+export async function fetchJsonRates(url, currencyCodes, timeout) {
+    const response = await fetchWithTimeout(url, timeout);
+    const data = await response.json();
+    const source = data.rates || data.bitcoin;
+
+    if (!source) {
+        throw new Error(`Invalid data format received from ${url}`);
+    }
+
+    return { rates: pickRates(source, currencyCodes) };
+}
+
+registerRateProvider({
+    id: 'coingecko',
+    label: 'CoinGecko API',
+    async fetchRates(currencyCodes, { timeout }) {
+        const response = await fetchWithTimeout(
+            `https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=${currencyCodes.join(',')}&include_24hr_change=true&include_24hr_vol=true`,
+            timeout
+        );
+        const data = await response.json();
+
+        if (!data.bitcoin) {
+            throw new Error('Invalid data format received from CoinGecko API');
+        }
+
+        const rates = pickRates(data.bitcoin, currencyCodes);
+        const changes = {};
+        const volumes = {};
+        currencyCodes.forEach(code => {
+            const change = data.bitcoin[`${code}_24h_change`];
+            if (typeof change === 'number') changes[code] = change;
+
+            // Volume is reported in the quote currency
+            const volume = data.bitcoin[`${code}_24h_vol`];
+            if (volume > 0 && rates[code]) volumes[code] = volume / rates[code];
+        });
+
+        return { rates, changes, volumes };
+    },
+    async fetchHistory(currencyCode, days, { timeout }) {
+        const response = await fetchWithTimeout(
+            `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=${currencyCode}&days=${days}`,
+            timeout
+        );
+        const data = await response.json();
+
+        if (!Array.isArray(data.prices)) {
+            throw new Error('Invalid data format received from CoinGecko market chart');
+        }
+
+        return data.prices.filter(([time, price]) => time > 0 && price > 0);
+    },
+    async fetchSupportedCurrencies({ timeout }) {
+        const response = await fetchWithTimeout('https://api.coingecko.com/api/v3/simple/supported_vs_currencies', timeout);
+        const data = await response.json();
+
+        if (!Array.isArray(data)) {
+            throw new Error('Invalid data format received from CoinGecko supported currencies');
+        }
+
+        return data.map(code => String(code).toLowerCase());
+    }
+});
+
+// Last resort when neither a live nor a cached cross-rate is available
+export const APPROX_USD_CROSS_RATES = {
+    'usd': 1, 'eur': 0.85, 'gbp': 0.73, 'jpy': 110,
+    'aud': 1.35, 'cad': 1.25, 'chf': 0.88, 'cny': 6.4,
+    'sek': 9.5, 'nzd': 1.45, 'mxn': 18, 'sgd': 1.35,
+    'hkd': 7.8, 'nok': 9.2, 'try': 27, 'zar': 15,
+    'brl': 5.2, 'inr': 83, 'krw': 1300, 'twd': 31
+};
+
+// Resolves to { [code]: fiat per USD } from the forex API
+export async function fetchUsdCrossRates(timeout) {
+    const response = await fetchWithTimeout(RATE_PROVIDER_CONFIG.crossRatesUrl, timeout);
+    const data = await response.json();
+
+    if (data.result !== 'success' || !data.rates) {
+        throw new Error('Invalid data format received from forex API');
+    }
+
+    const rates = {};
+    Object.entries(data.rates).forEach(([code, rate]) => {
+        if (rate > 0) rates[code.toLowerCase()] = rate;
+    });
+    return rates;
+}
+
+// The best cross-rate for each currency: live, else cached, else approximate.
+// Returns { rates: { [code]: fiat per USD }, status: { [code]: 'live' | 'cached' | 'approx' } }
+export function pickUsdCrossRates(currencyCodes, liveRates, cachedRates = {}) {
+    const rates = {};
+    const status = {};
+
+    currencyCodes.forEach(code => {
+        if (code === 'usd') {
+            rates[code] = 1;
+            status[code] = 'live';
+        } else if (liveRates[code]) {
+            rates[code] = liveRates[code];
+            status[code] = 'live';
+        } else if (cachedRates[code]) {
+            rates[code] = cachedRates[code];
+            status[code] = 'cached';
+        } else if (APPROX_USD_CROSS_RATES[code]) {
+            rates[code] = APPROX_USD_CROSS_RATES[code];
+            status[code] = 'approx';
+        }
+    });
+
+    return { rates, status };
+}
+
+// Live cross-rates, or the approximations when the forex API fails
+async function getLiveUsdCrossRates(currencyCodes, timeout) {
+    let liveRates = {};
+    try {
+        liveRates = await fetchUsdCrossRates(timeout);
+    } catch (error) {
+        console.warn('Forex API failed:', error);
+    }
+    return pickUsdCrossRates(currencyCodes, liveRates);
+}
+
+// Where CoinDesk gets its cross-rates: async (currencyCodes, timeout) => { rates, status }
+// as pickUsdCrossRates() returns them. The page swaps in one that keeps the last good
+// rates in localStorage (forex.js); no argument restores the default.
+let usdCrossRateSource = getLiveUsdCrossRates;
+
+export function setUsdCrossRateSource(source = getLiveUsdCrossRates) {
+    usdCrossRateSource = source;
+}
+
+// CoinDesk only knows BTC/USD; other currencies go through forex cross-rates
+registerRateProvider({
+    id: 'coindesk',
+    label: 'CoinDesk API + forex cross-rates',
+    notice: 'Using CoinDesk fallback API with forex cross-rates. Check the live/cached/approx. label on each card.',
+    async fetchRates(currencyCodes, { timeout }) {
+        const response = await fetchWithTimeout('https://api.coindesk.com/v1/bpi/currentprice.json', timeout);
+        const data = await response.json();
+        const btcUsdRate = data.bpi.USD.rate_float;
+
+        const crossRates = await usdCrossRateSource(currencyCodes, timeout);
+
+        const rates = {};
+        Object.entries(crossRates.rates).forEach(([code, usdRate]) => {
+            rates[code] = btcUsdRate * usdRate;
+        });
+        return { rates, status: crossRates.status };
+    }
+});
+
+// Kraken-style ticker: one pair per fiat, last trade price in result[pair].c[0]
+export const KRAKEN_FIAT_CODES = ['usd', 'eur', 'gbp', 'jpy', 'cad', 'chf', 'aud'];
+
+registerRateProvider({
+    id: 'kraken',
+    label: 'Kraken API',
+    async fetchRates(currencyCodes, { timeout }) {
+        const codes = currencyCodes.filter(code => KRAKEN_FIAT_CODES.includes(code));
+        if (codes.length === 0) return { rates: {} };
+
+        const pairs = codes.map(code => 'XBT' + code.toUpperCase()).join(',');
+        const response = await fetchWithTimeout(`https://api.kraken.com/0/public/Ticker?pair=${pairs}`, timeout);
+        const data = await response.json();
+
+        if (data.error && data.error.length > 0) {
+            throw new Error(data.error.join(', '));
+        }
+
+        // Pair names come back as e.g. XXBTZUSD or XBTCHF; the quote currency is the suffix.
+        // v[1] is the BTC volume over the last 24 hours.
+        const rates = {};
+        const volumes = {};
+        Object.entries(data.result || {}).forEach(([pair, ticker]) => {
+            const code = pair.slice(-3).toLowerCase();
+            const price = parseFloat(ticker.c[0]);
+            if (codes.includes(code) && price > 0) {
+                rates[code] = price;
+                volumes[code] = parseFloat(ticker.v[1]) || 0;
+            }
+        });
+        return { rates, volumes };
+    }
+});
+
+// Streamed ticker prices ({ [code]: price }) merged into the current rates. Currencies
+// the ticker doesn't quote move with BTC/USD so the rates stay in step; they are
+// listed in `derived`, being estimates rather than trades.
+export function mergeTickerPrices(rates, status, ticks, quotedCodes = KRAKEN_FIAT_CODES) {
+    const merged = { ...rates, ...ticks };
+    const mergedStatus = { ...status };
+    Object.keys(ticks).forEach(code => {
+        mergedStatus[code] = 'live';
+    });
+
+    const derived = [];
+    if (ticks.usd && rates.usd) {
+        const usdMove = ticks.usd / rates.usd;
+        Object.keys(rates)
+            .filter(code => !ticks[code] && !quotedCodes.includes(code))
+            .forEach(code => {
+                merged[code] = rates[code] * usdMove;
+                derived.push(code);
+            });
+    }
+    return { rates: merged, status: mergedStatus, derived };
+}
+
+registerRateProvider({
+    id: 'selfhosted',
+    label: 'Self-hosted Rates API',
+    isEnabled: () => Boolean(RATE_PROVIDER_CONFIG.selfHostedUrl),
+    fetchRates(currencyCodes, { timeout }) {
+        return fetchJsonRates(RATE_PROVIDER_CONFIG.selfHostedUrl, currencyCodes, timeout);
+    }
+});
+
+// Reads a local JSON file, for offline development and tests
+registerRateProvider({
+    id: 'mock',
+    label: 'Local Mock Data',
+    fetchRates(currencyCodes, { timeout }) {
+        return fetchJsonRates(RATE_PROVIDER_CONFIG.mockUrl, currencyCodes, timeout);
+    }
+});
+
+// Sample rates for fallback when every provider fails
+export const SAMPLE_RATES = {
+    'usd': 43000, 'eur': 39000, 'gbp': 34000, 'jpy': 6400000,
+    'aud': 65000, 'cad': 58000, 'chf': 38000, 'cny': 310000,
+    'sek': 460000, 'nzd': 71000, 'mxn': 740000, 'sgd': 58000,
+    'hkd': 340000, 'nok': 470000, 'try': 1480000, 'zar': 780000,
+    'brl': 220000, 'inr': 3600000, 'krw': 57000000, 'twd': 1390000
+};
+
+registerRateProvider({
+    id: 'sample',
+    label: 'Sample Data',
+    async fetchRates(currencyCodes) {
+        const rates = pickRates(SAMPLE_RATES, currencyCodes);
+        return { rates, status: markRates(rates, 'approx') };
+    }
+});
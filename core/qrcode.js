@@ -0,0 +1,374 @@
+// QR code encoder (ISO/IEC 18004), so payment requests can be shown as QR codes
+// without sending them to a web service. Encodes text as UTF-8 in byte mode,
+// picking the smallest version (1-40) that fits and the mask with the lowest penalty.
+
+// Error correction levels: share of the code that can be damaged and still read,
+// and the two bits used for them in the format information
+export const QR_ERROR_CORRECTION = {
+    L: { ordinal: 0, formatBits: 1 },  // ~7%
+    M: { ordinal: 1, formatBits: 0 },  // ~15%
+    Q: { ordinal: 2, formatBits: 3 },  // ~25%
+    H: { ordinal: 3, formatBits: 2 }   // ~30%
+};
+
+// Per level, indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// Modules left for data and error correction once the function patterns are drawn
+function getRawDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return modules;
+}
+
+function getDataCodewords(version, level) {
+    const { ordinal } = QR_ERROR_CORRECTION[level];
+    return Math.floor(getRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[ordinal][version] * ERROR_CORRECTION_BLOCKS[ordinal][version];
+}
+
+// Centre coordinates of the alignment patterns on each axis
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Multiplication in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function multiplyGf(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+function getReedSolomonDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < divisor.length; j++) {
+            divisor[j] = multiplyGf(divisor[j], root);
+            if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+        }
+        root = multiplyGf(root, 0x02);
+    }
+    return divisor;
+}
+
+// The `degree` error correction codewords for a block of data codewords
+export function getReedSolomonRemainder(data, degree) {
+    const divisor = getReedSolomonDivisor(degree);
+    const remainder = new Array(degree).fill(0);
+
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => {
+            remainder[i] ^= multiplyGf(coefficient, factor);
+        });
+    });
+    return remainder;
+}
+
+// Mode indicator, length and data bits, padded to the version's data capacity
+function getDataCodewordsFor(bytes, version, level) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacity = getDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// Split the data into blocks, add each block's error correction and interleave them
+function addErrorCorrection(data, version, level) {
+    const { ordinal } = QR_ERROR_CORRECTION[level];
+    const blockCount = ERROR_CORRECTION_BLOCKS[ordinal][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[ordinal][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        const ecc = getReedSolomonRemainder(block, eccLength);
+        // Short blocks get a placeholder so every block has the same length while interleaving
+        if (i < shortBlocks) block.push(null);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach(block => {
+            if (block[i] !== null) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+function createMatrix(size) {
+    return Array.from({ length: size }, () => new Array(size).fill(false));
+}
+
+// Finder, timing and alignment patterns, the dark module and space for the format
+// and version information. Returns which modules are reserved.
+function drawFunctionPatterns(modules, version) {
+    const size = modules.length;
+    const reserved = createMatrix(size);
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+        positions.forEach((cy, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    drawFormatBits(modules, 'M', 0, set);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return reserved;
+}
+
+// The 15 format bits (level and mask, BCH protected) in both of their places
+function drawFormatBits(modules, level, mask, set = (x, y, dark) => { modules[y][x] = dark; }) {
+    const size = modules.length;
+    const data = (QR_ERROR_CORRECTION[level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+}
+
+// Place the codewords in the zigzag order, two columns at a time from the bottom right
+function drawCodewords(modules, reserved, codewords) {
+    const size = modules.length;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // The vertical timing pattern takes a whole column
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!reserved[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask(modules, reserved, mask) {
+    const pattern = MASK_PATTERNS[mask];
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (!reserved[y][x] && pattern(x, y)) row[x] = !dark;
+        });
+    });
+}
+
+// Rules N1-N4 of the standard: long runs, 2x2 blocks, finder-like patterns and dark/light balance
+function getMaskPenalty(modules) {
+    const size = modules.length;
+    const columns = modules.map((row, x) => modules.map(column => column[x]));
+    const lines = modules.concat(columns);
+    const finderLike = '10111010000';
+    let penalty = 0;
+
+    lines.forEach(line => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (let i = 0; i + finderLike.length <= size; i++) {
+            const segment = text.slice(i, i + finderLike.length);
+            if (segment === finderLike || segment === [...finderLike].reverse().join('')) penalty += 40;
+        }
+    });
+
+    for (let y = 0; y + 1 < size; y++) {
+        for (let x = 0; x + 1 < size; x++) {
+            const dark = modules[y][x];
+            if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) penalty += 3;
+        }
+    }
+
+    const darkCount = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+}
+
+// Encode text as a QR code. Returns { version, size, errorCorrection, mask, modules },
+// where modules[y][x] is true for a dark module. Throws if the text doesn't fit.
+export function encodeQrCode(text, { errorCorrection = 'M' } = {}) {
+    if (!QR_ERROR_CORRECTION[errorCorrection]) {
+        throw new Error(`Unknown QR error correction level: ${errorCorrection}`);
+    }
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version, errorCorrection) * 8) {
+        version++;
+    }
+    if (version > 40) {
+        throw new Error('Text is too long for a QR code');
+    }
+
+    const size = version * 4 + 17;
+    const modules = createMatrix(size);
+    const reserved = drawFunctionPatterns(modules, version);
+    drawCodewords(modules, reserved, addErrorCorrection(getDataCodewordsFor(bytes, version, errorCorrection), version, errorCorrection));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    MASK_PATTERNS.forEach((pattern, mask) => {
+        applyMask(modules, reserved, mask);
+        drawFormatBits(modules, errorCorrection, mask);
+        const penalty = getMaskPenalty(modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        // Masking twice restores the unmasked modules
+        applyMask(modules, reserved, mask);
+    });
+
+    applyMask(modules, reserved, bestMask);
+    drawFormatBits(modules, errorCorrection, bestMask);
+
+    return { version, size, errorCorrection, mask: bestMask, modules };
+}
+
+// An SVG image of a QR code, one path for all dark modules, with the quiet zone
+// of `border` modules around it. Scales to whatever size it is displayed at.
+export function qrCodeToSvg(qr, { border = 4, dark = '#000', light = '#fff' } = {}) {
+    const extent = qr.size + border * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="${light}"/>` +
+        `<path d="${path.join('')}" fill="${dark}"/>` +
+        '</svg>';
+}
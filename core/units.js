@@ -0,0 +1,107 @@
+// Bitcoin denominations and conversions between them and fiat. The page gives
+// every registered unit a main tab with a "Fiat per <unit>" and a "<unit> per Fiat"
+// page (see denominations.js). The fiat amounts those pages list are at the end.
+//
+// A unit is an object with:
+//   id        - key used in BITCOIN_UNITS, the converter and saved settings
+//   name      - short name after amounts ("sats")
+//   label     - name in titles, navigation and "1 <label>" cards ("Satoshi")
+//   perBtc    - how many units make up one BTC; BTC prices are divided by this
+//   decimals  - decimals always shown for amounts of this unit
+//   compact   - optional; false never abbreviates amounts (2.33K) in compact notation
+//   countable - optional; true says "How many <label>" rather than "How much <label>"
+//   aliases   - optional other names typed after amounts, e.g. "µBTC" for bits
+//   tab       - optional main tab id and button text, default id / label
+//   pages     - optional ids of the fiat-per-unit and units-per-fiat pages,
+//               default fiat-per-<id> and <id>-per-fiat
+
+// Registered units by id, in tab order
+export const BITCOIN_UNITS = {};
+
+// Which unit each page shows, and whether it is fiat per unit or units per fiat amount
+export const PAGE_DENOMINATIONS = {};
+
+export function registerDenomination(unit) {
+    const denomination = {
+        compact: true,
+        countable: false,
+        aliases: [],
+        ...unit,
+        tab: { id: unit.id, label: unit.label, ...unit.tab },
+        pages: { fiatPerUnit: `fiat-per-${unit.id}`, unitsPerFiat: `${unit.id}-per-fiat`, ...unit.pages }
+    };
+
+    BITCOIN_UNITS[denomination.id] = denomination;
+    PAGE_DENOMINATIONS[denomination.pages.fiatPerUnit] = { unit: denomination.id, mode: 'fiat-per-unit' };
+    PAGE_DENOMINATIONS[denomination.pages.unitsPerFiat] = { unit: denomination.id, mode: 'units-per-fiat' };
+}
+
+registerDenomination({
+    id: 'btc', name: 'BTC', label: 'BTC', perBtc: 1, decimals: 8, compact: false,
+    tab: { id: 'btc', label: 'BTC' }
+});
+
+registerDenomination({
+    id: 'mbtc', name: 'mBTC', label: 'mBTC', perBtc: 1000, decimals: 5, compact: false,
+    tab: { id: 'mbtc', label: 'mBTC' }
+});
+
+registerDenomination({
+    id: 'bits', name: 'BITS', label: 'BITS', perBtc: 1000000, decimals: 2, countable: true,
+    aliases: ['bit', 'µBTC', 'uBTC'],
+    tab: { id: 'bts', label: 'BTS' }
+});
+
+registerDenomination({
+    id: 'sats', name: 'sats', label: 'Satoshi', perBtc: 100000000, decimals: 0, countable: true,
+    aliases: ['sat', 'satoshis'],
+    tab: { id: 'sts', label: 'STS' },
+    pages: { fiatPerUnit: 'fiat-per-satoshi', unitsPerFiat: 'satoshi-per-fiat' }
+});
+
+// Matches a unit name or alias at the end of a lower-cased amount, e.g. "2m sats" or "5 mbtc".
+// Use it before dropping spaces: "2m btc" and "2 mbtc" both read "2mbtc" without them.
+export function getUnitSuffixPattern() {
+    const names = Object.values(BITCOIN_UNITS)
+        .flatMap(unit => [unit.id, unit.name, unit.label].concat(unit.aliases))
+        .map(name => name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .sort((a, b) => b.length - a.length);
+    return new RegExp(`(${Array.from(new Set(names)).join('|')})s?$`);
+}
+
+export function convertFiatToUnits(fiatAmount, bitcoinPrice, unit) {
+    return fiatAmount / bitcoinPrice * BITCOIN_UNITS[unit].perBtc;
+}
+
+export function convertUnitsToFiat(unitAmount, bitcoinPrice, unit) {
+    return unitAmount / BITCOIN_UNITS[unit].perBtc * bitcoinPrice;
+}
+
+// Currencies shown out of the box, with the reference amount used on the "per Fiat" pages
+export const DEFAULT_CURRENCY_AMOUNTS = {
+    'usd': 1, 'eur': 1, 'gbp': 1, 'jpy': 100,
+    'aud': 1, 'cad': 1, 'chf': 1, 'cny': 1,
+    'sek': 10, 'nzd': 1, 'mxn': 10, 'sgd': 1,
+    'hkd': 10, 'nok': 10, 'try': 10, 'zar': 10,
+    'brl': 1, 'inr': 10, 'krw': 1000, 'twd': 10
+};
+
+// Amounts listed on the "per Fiat" pages where the common notes aren't 1/5/20/100 × the reference amount
+export const DEFAULT_AMOUNT_PRESETS = {
+    'eur': [1, 5, 20, 50], 'gbp': [1, 5, 20, 50], 'jpy': [100, 1000, 5000, 10000],
+    'chf': [1, 10, 20, 100], 'cny': [1, 10, 50, 100], 'inr': [10, 100, 200, 500],
+    'krw': [1000, 5000, 10000, 50000]
+};
+
+// Multiples of the reference amount listed for every other currency
+export const AMOUNT_PRESET_MULTIPLIERS = [1, 5, 20, 100];
+
+// Amounts listed on the "per Fiat" pages for a currency: its common notes, or
+// 1/5/20/100 × the reference amount
+export function getAmountPresets(currencyCode, referenceAmount) {
+    if (!referenceAmount && DEFAULT_AMOUNT_PRESETS[currencyCode]) {
+        return DEFAULT_AMOUNT_PRESETS[currencyCode];
+    }
+    const reference = referenceAmount || DEFAULT_CURRENCY_AMOUNTS[currencyCode] || 1;
+    return AMOUNT_PRESET_MULTIPLIERS.map(multiplier => reference * multiplier);
+}
@@ -0,0 +1,293 @@
+// User-selectable currency list: add, hide, reorder, pin favourites and
+// override the reference amount per currency. Saved in localStorage.
+
+const CURRENCY_SETTINGS_CONFIG = {
+    storageKey: 'currencyPreferences',
+    supportedStorageKey: 'supportedCurrencies',
+    supportedMaxAge: 24 * 60 * 60 * 1000
+};
+
+// {
+//   codes:   every currency in the list, in the user's order
+//   hidden:  codes that are in the list but not shown or fetched
+//   pinned:  codes shown before all others
+//   amounts: reference amounts that replace DEFAULT_CURRENCY_AMOUNTS
+//   presets: amounts listed on the "per Fiat" pages, replacing the defaults
+// }
+let currencyPreferences = null;
+
+// Codes the rate providers can quote, or null until known
+let supportedCurrencyCodes = null;
+
+let draggedCurrencyCode = null;
+
+function getDefaultCurrencyPreferences() {
+    return {
+        codes: Object.keys(DEFAULT_CURRENCY_AMOUNTS),
+        hidden: [],
+        pinned: [],
+        amounts: {},
+        presets: {}
+    };
+}
+
+function loadCurrencyPreferences() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CURRENCY_SETTINGS_CONFIG.storageKey));
+        if (stored && Array.isArray(stored.codes)) {
+            return {
+                codes: stored.codes.filter(code => ISO_4217[code]),
+                hidden: stored.hidden || [],
+                pinned: stored.pinned || [],
+                amounts: stored.amounts || {},
+                presets: stored.presets || {}
+            };
+        }
+    } catch (error) {
+        console.warn('Could not read currency preferences:', error);
+    }
+    return getDefaultCurrencyPreferences();
+}
+
+function saveCurrencyPreferences() {
+    localStorage.setItem(CURRENCY_SETTINGS_CONFIG.storageKey, JSON.stringify(currencyPreferences));
+}
+
+// Codes in display order: pinned favourites first, then the rest in the user's order
+function getOrderedCurrencyCodes() {
+    const { codes, pinned } = currencyPreferences;
+    return codes.filter(code => pinned.includes(code)).concat(codes.filter(code => !pinned.includes(code)));
+}
+
+// Common note values, or 1/5/20/100 × the user's reference amount
+function getDefaultAmountPresets(code) {
+    return getAmountPresets(code, currencyPreferences.amounts[code]);
+}
+
+// Amounts typed as "1 / 5 / 20 / 100"; invalid entries are dropped
+function parseAmountPresets(text) {
+    const amounts = String(text).split(/[/;]/)
+        .map(part => parseAmountInput(part))
+        .filter(amount => amount > 0);
+    return Array.from(new Set(amounts)).sort((a, b) => a - b);
+}
+
+// Rebuild the shared `currencies` table from ISO_4217 and the user's preferences,
+// with the currency names in the interface language
+function applyCurrencyPreferences() {
+    if (!currencyPreferences) {
+        currencyPreferences = loadCurrencyPreferences();
+    }
+
+    Object.keys(currencies).forEach(code => delete currencies[code]);
+
+    getOrderedCurrencyCodes()
+        .filter(code => !currencyPreferences.hidden.includes(code))
+        .forEach(code => {
+            const presets = currencyPreferences.presets[code] || getDefaultAmountPresets(code);
+            currencies[code] = {
+                ...ISO_4217[code],
+                name: getCurrencyDisplayName(code),
+                amount: presets[0],
+                presets
+            };
+        });
+}
+
+// Save, rebuild and re-render everything that lists currencies
+function commitCurrencyPreferences({ refetch = false } = {}) {
+    saveCurrencyPreferences();
+    applyCurrencyPreferences();
+    renderCurrencySettings();
+    refreshConverterCurrencies();
+    refreshAlertCurrencies();
+    refreshPriceListCurrencies();
+    refreshPaymentCurrencies();
+
+    if (refetch) {
+        fetchRates();
+    } else {
+        displayCurrentActiveTab();
+    }
+}
+
+// A round amount worth roughly one US dollar, e.g. 1000 for NGN or 10000 for VND
+async function suggestCurrencyAmount(code) {
+    if (currentRates[code] && currentRates.usd) {
+        return Math.pow(10, Math.max(0, Math.round(Math.log10(currentRates[code] / currentRates.usd))));
+    }
+
+    const crossRates = await getUsdCrossRates([code], RATE_PROVIDER_CONFIG.defaultTimeout);
+    const usdRate = crossRates.rates[code];
+    return usdRate ? Math.pow(10, Math.max(0, Math.round(Math.log10(usdRate)))) : 1;
+}
+
+async function addCurrency(code) {
+    if (!ISO_4217[code] || currencyPreferences.codes.includes(code)) return;
+
+    currencyPreferences.codes.push(code);
+    if (!DEFAULT_CURRENCY_AMOUNTS[code]) {
+        currencyPreferences.amounts[code] = await suggestCurrencyAmount(code);
+    }
+    commitCurrencyPreferences({ refetch: true });
+}
+
+function removeCurrency(code) {
+    const prefs = currencyPreferences;
+    prefs.codes = prefs.codes.filter(item => item !== code);
+    prefs.hidden = prefs.hidden.filter(item => item !== code);
+    prefs.pinned = prefs.pinned.filter(item => item !== code);
+    delete prefs.amounts[code];
+    delete prefs.presets[code];
+    commitCurrencyPreferences();
+}
+
+function toggleCurrencyListItem(list, code, enabled) {
+    const index = list.indexOf(code);
+    if (enabled && index === -1) list.push(code);
+    if (!enabled && index !== -1) list.splice(index, 1);
+}
+
+// Move `code` in front of (or after) `targetCode`, in display order
+function moveCurrency(code, targetCode, after) {
+    const ordered = getOrderedCurrencyCodes().filter(item => item !== code);
+    const targetIndex = ordered.indexOf(targetCode);
+    ordered.splice(after ? targetIndex + 1 : targetIndex, 0, code);
+    currencyPreferences.codes = ordered;
+    commitCurrencyPreferences();
+}
+
+async function loadSupportedCurrencies() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(CURRENCY_SETTINGS_CONFIG.supportedStorageKey));
+        if (cached && Date.now() - cached.timestamp < CURRENCY_SETTINGS_CONFIG.supportedMaxAge) {
+            return cached.codes;
+        }
+    } catch (error) {
+        // Fall through to fetching a fresh list
+    }
+
+    const codes = await fetchSupportedCurrenciesFromProviders();
+    localStorage.setItem(CURRENCY_SETTINGS_CONFIG.supportedStorageKey, JSON.stringify({ codes, timestamp: Date.now() }));
+    return codes;
+}
+
+function initCurrencySettings() {
+    const list = document.getElementById('currencyList');
+
+    document.getElementById('currencySettings').addEventListener('toggle', async event => {
+        if (!event.target.open || supportedCurrencyCodes) return;
+
+        try {
+            supportedCurrencyCodes = await loadSupportedCurrencies();
+            renderAddCurrencyOptions();
+        } catch (error) {
+            // Without a provider list, offer every currency in the ISO table
+            console.warn('Could not load supported currencies:', error);
+        }
+    });
+
+    list.addEventListener('change', event => {
+        const code = event.target.closest('.currency-item').dataset.code;
+
+        if (event.target.classList.contains('currency-visible')) {
+            toggleCurrencyListItem(currencyPreferences.hidden, code, !event.target.checked);
+            commitCurrencyPreferences({ refetch: event.target.checked });
+        } else if (event.target.classList.contains('currency-amount')) {
+            // An empty field goes back to the default amounts
+            const presets = parseAmountPresets(event.target.value);
+            if (presets.length > 0) {
+                currencyPreferences.presets[code] = presets;
+            } else {
+                delete currencyPreferences.presets[code];
+            }
+            commitCurrencyPreferences();
+        }
+    });
+
+    list.addEventListener('click', event => {
+        const item = event.target.closest('.currency-item');
+        if (!item) return;
+
+        if (event.target.classList.contains('currency-pin')) {
+            toggleCurrencyListItem(currencyPreferences.pinned, item.dataset.code, !currencyPreferences.pinned.includes(item.dataset.code));
+            commitCurrencyPreferences();
+        } else if (event.target.classList.contains('currency-remove')) {
+            removeCurrency(item.dataset.code);
+        }
+    });
+
+    // Drag and drop reordering
+    list.addEventListener('dragstart', event => {
+        const item = event.target.closest('.currency-item');
+        draggedCurrencyCode = item.dataset.code;
+        event.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+    });
+    list.addEventListener('dragover', event => {
+        if (draggedCurrencyCode) event.preventDefault();
+    });
+    list.addEventListener('drop', event => {
+        event.preventDefault();
+        const target = event.target.closest('.currency-item');
+        if (target && draggedCurrencyCode && target.dataset.code !== draggedCurrencyCode) {
+            const bounds = target.getBoundingClientRect();
+            moveCurrency(draggedCurrencyCode, target.dataset.code, event.clientY > bounds.top + bounds.height / 2);
+        }
+    });
+    list.addEventListener('dragend', () => {
+        draggedCurrencyCode = null;
+        list.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+    });
+
+    document.getElementById('addCurrencyBtn').addEventListener('click', () => {
+        const code = document.getElementById('addCurrencySelect').value;
+        if (code) addCurrency(code);
+    });
+
+    document.getElementById('resetCurrenciesBtn').addEventListener('click', () => {
+        currencyPreferences = getDefaultCurrencyPreferences();
+        commitCurrencyPreferences({ refetch: true });
+    });
+
+    renderCurrencySettings();
+}
+
+function renderCurrencySettings() {
+    const { hidden, pinned, presets } = currencyPreferences;
+
+    document.getElementById('currencyList').innerHTML = getOrderedCurrencyCodes().map(code => {
+        const config = ISO_4217[code];
+        const isPinned = pinned.includes(code);
+        const amounts = (presets[code] || getDefaultAmountPresets(code)).map(amount => formatNumber(amount, 20)).join(' / ');
+        const removable = !DEFAULT_CURRENCY_AMOUNTS[code];
+
+        return `
+            <li class="currency-item${hidden.includes(code) ? ' hidden-currency' : ''}" draggable="true" data-code="${code}">
+                <span class="drag-handle" aria-hidden="true">⠿</span>
+                <input type="checkbox" class="currency-visible" ${hidden.includes(code) ? '' : 'checked'} aria-label="${translate('currencySettings.show', { code: code.toUpperCase() })}">
+                <span class="currency-flag">${config.flag}</span>
+                <span class="currency-item-code">${code.toUpperCase()}</span>
+                <span class="currency-item-name">${getCurrencyDisplayName(code)}</span>
+                <button class="currency-pin${isPinned ? ' pinned' : ''}" aria-pressed="${isPinned}" title="${translate(isPinned ? 'currencySettings.unpin' : 'currencySettings.pin')}">${isPinned ? '★' : '☆'}</button>
+                <label class="currency-amount-label">${config.symbol}
+                    <input type="text" class="currency-amount" inputmode="decimal" value="${amounts}" aria-label="${translate('currencySettings.amounts', { code: code.toUpperCase() })}">
+                </label>
+                ${removable ? `<button class="currency-remove" title="${translate('currencySettings.remove', { code: code.toUpperCase() })}">&times;</button>` : '<span class="currency-remove-placeholder"></span>'}
+            </li>
+        `;
+    }).join('');
+
+    renderAddCurrencyOptions();
+}
+
+function renderAddCurrencyOptions() {
+    const available = Object.entries(ISO_4217).filter(([code]) =>
+        !currencyPreferences.codes.includes(code) &&
+        (!supportedCurrencyCodes || supportedCurrencyCodes.includes(code))
+    );
+
+    document.getElementById('addCurrencySelect').innerHTML = available
+        .map(([code, config]) => `<option value="${code}">${config.flag} ${code.toUpperCase()} - ${getCurrencyDisplayName(code)}</option>`)
+        .join('');
+}
@@ -0,0 +1,120 @@
+// Bitcoin denominations on the page. Every unit registered in core/units.js gets a
+// main tab with a "Fiat per <unit>" and a "<unit> per Fiat" page, and is offered by
+// the converter, price list, alerts and exports. The fields of a unit are
+// described in core/units.js.
+
+const DENOMINATION_CONFIG = {
+    // Page shown when the URL doesn't name one
+    defaultPage: 'fiat-per-bits',
+    // Extra units to register on top of the built-in ones, e.g.
+    // { id: 'kbits', name: 'kBITS', label: 'kBITS', perBtc: 1000, decimals: 5 }
+    custom: []
+};
+
+DENOMINATION_CONFIG.custom.forEach(registerDenomination);
+
+// The value a page shows for a currency at a given BTC price:
+// fiat per one unit, or units per the currency's reference amount
+function getPageValue(btcPrice, currencyCode, pageId) {
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
+    const perBtc = BITCOIN_UNITS[unit].perBtc;
+
+    if (mode === 'fiat-per-unit') {
+        return btcPrice / perBtc;
+    }
+    return currencies[currencyCode].amount / btcPrice * perBtc;
+}
+
+// Build the main tabs, sub-navigation and pages from the registered units, plus the
+// comparison matrix tab (matrix.js). Their text is filled in by translatePage().
+function initDenominationTabs() {
+    const units = Object.values(BITCOIN_UNITS);
+
+    // Tabs and pages follow the WAI-ARIA tabs pattern; showMainTab() and showPage() keep
+    // aria-selected and the roving tabindex in step with what is shown
+    const mainTabs = document.getElementById('mainTabs');
+    mainTabs.innerHTML = units.map(unit => `
+        <button class="main-tab-btn" id="${unit.tab.id}-tab-btn" data-tab="${unit.tab.id}"
+            role="tab" aria-controls="${unit.tab.id}-tab" aria-selected="false" tabindex="-1">${unit.tab.label}</button>
+    `).join('') + createMatrixTabButton();
+
+    document.getElementById('subNavigations').innerHTML = units.map(unit => `
+        <div id="${unit.tab.id}-sub-navigation" class="navigation" role="tablist"
+            data-i18n-aria-label="nav.pages" ${i18nParams({ unit: unit.label })}>
+            <button class="nav-btn" id="${unit.pages.fiatPerUnit}-btn" data-page="${unit.pages.fiatPerUnit}"
+                role="tab" aria-controls="${unit.pages.fiatPerUnit}" aria-selected="false" tabindex="-1"
+                data-i18n="nav.fiatPerUnit" ${i18nParams({ unit: unit.label })}></button>
+            <button class="nav-btn" id="${unit.pages.unitsPerFiat}-btn" data-page="${unit.pages.unitsPerFiat}"
+                role="tab" aria-controls="${unit.pages.unitsPerFiat}" aria-selected="false" tabindex="-1"
+                data-i18n="nav.unitsPerFiat" ${i18nParams({ unit: unit.label })}></button>
+        </div>
+    `).join('');
+
+    document.getElementById('denominationTabs').innerHTML = units.map(unit => `
+        <div id="${unit.tab.id}-tab" class="main-tab" role="tabpanel" aria-labelledby="${unit.tab.id}-tab-btn">
+            <div id="${unit.pages.fiatPerUnit}" class="page active" role="tabpanel" aria-labelledby="${unit.pages.fiatPerUnit}-btn">
+                <h2 class="page-title" data-i18n="page.fiatPerUnit" ${i18nParams({ unit: unit.label })}></h2>
+                <div class="rates-grid" hidden></div>
+            </div>
+            <div id="${unit.pages.unitsPerFiat}" class="page" role="tabpanel" aria-labelledby="${unit.pages.unitsPerFiat}-btn">
+                <h2 class="page-title" data-i18n="${unit.countable ? 'page.unitsPerFiatCountable' : 'page.unitsPerFiat'}" ${i18nParams({ unit: unit.label })}></h2>
+                <div class="rates-grid" hidden></div>
+            </div>
+        </div>
+    `).join('') + createMatrixTabPanel();
+
+    // Every tab opens on its "Fiat per unit" page; the default page decides the tab
+    units.forEach(unit => markSelectedTab(`${unit.tab.id}-sub-navigation`, `${unit.pages.fiatPerUnit}-btn`));
+    showPage(DENOMINATION_CONFIG.defaultPage, { updateUrl: false });
+
+    mainTabs.addEventListener('click', event => {
+        const button = event.target.closest('.main-tab-btn');
+        if (button) showMainTab(button.dataset.tab);
+    });
+    mainTabs.addEventListener('keydown', event => {
+        const button = getTabForKey(event);
+        if (button) showMainTab(button.dataset.tab);
+    });
+
+    const subNavigations = document.getElementById('subNavigations');
+    subNavigations.addEventListener('click', event => {
+        const button = event.target.closest('.nav-btn');
+        if (button) showPage(button.dataset.page);
+    });
+    subNavigations.addEventListener('keydown', event => {
+        const button = getTabForKey(event);
+        if (button) showPage(button.dataset.page);
+    });
+}
+
+// Select one tab of a tablist; only the selected tab is in the Tab key order
+function markSelectedTab(tablistId, selectedId) {
+    document.querySelectorAll(`#${tablistId} [role="tab"]`).forEach(tab => {
+        const selected = tab.id === selectedId;
+        tab.classList.toggle('active', selected);
+        tab.setAttribute('aria-selected', String(selected));
+        tab.tabIndex = selected ? 0 : -1;
+    });
+}
+
+// Arrow keys move between the tabs of a tablist, wrapping around; Home and End jump to
+// the first and last. Focuses and returns the tab to select, or null for other keys.
+function getTabForKey(event) {
+    const current = event.target.closest('[role="tab"]');
+    if (!current) return null;
+
+    const tabs = Array.from(current.closest('[role="tablist"]').querySelectorAll('[role="tab"]'));
+    const index = tabs.indexOf(current);
+    const targets = {
+        ArrowLeft: tabs[(index - 1 + tabs.length) % tabs.length],
+        ArrowRight: tabs[(index + 1) % tabs.length],
+        Home: tabs[0],
+        End: tabs[tabs.length - 1]
+    };
+    const target = targets[event.key];
+    if (!target) return null;
+
+    event.preventDefault();
+    target.focus();
+    return target;
+}
@@ -0,0 +1,126 @@
+// Export the active page's rates as CSV or JSON, its stored history as CSV,
+// or print it as a price list (see the print styles in styles.css)
+
+const EXPORT_CSV_COLUMNS = ['timestamp', 'source', 'currency', 'fiat_amount', 'unit', 'unit_amount', 'status'];
+
+// One grid row in raw numbers: `fiatAmount` of the currency is worth `unitAmount` of the page's unit
+function getExportRow(currencyCode, bitcoinPrice, pageId, fiatAmount) {
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
+    const perBtc = BITCOIN_UNITS[unit].perBtc;
+
+    if (mode === 'fiat-per-unit') {
+        return { currency: currencyCode.toUpperCase(), fiatAmount: bitcoinPrice / perBtc, unit: BITCOIN_UNITS[unit].name, unitAmount: 1 };
+    }
+    return { currency: currencyCode.toUpperCase(), fiatAmount, unit: BITCOIN_UNITS[unit].name, unitAmount: fiatAmount / bitcoinPrice * perBtc };
+}
+
+// A currency's rows: one on "per unit" pages, one per amount preset on "per Fiat" pages,
+// and those of every unit page for the comparison matrix
+function getCurrencyExportRows(currencyCode, bitcoinPrice, pageId) {
+    if (pageId === MATRIX_CONFIG.pageId) {
+        return getMatrixColumns().flatMap(column => getCurrencyExportRows(currencyCode, bitcoinPrice, column.pageId));
+    }
+
+    const amounts = PAGE_DENOMINATIONS[pageId].mode === 'fiat-per-unit' ? [null] : currencies[currencyCode].presets;
+    return amounts.map(amount => getExportRow(currencyCode, bitcoinPrice, pageId, amount));
+}
+
+// The rows of the active page's grid, in the order and with the filter it is shown with
+function getCurrentExportRows(pageId) {
+    return getShownCurrencies()
+        .filter(([code]) => currentRates[code])
+        .flatMap(([code]) => getCurrencyExportRows(code, currentRates[code], pageId).map(row => ({
+            ...row,
+            status: currentRateStatus[code] || 'live'
+        })));
+}
+
+function toCsvCell(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+    const lines = records.map(record => EXPORT_CSV_COLUMNS.map(column => toCsvCell(record[column])).join(','));
+    return [EXPORT_CSV_COLUMNS.join(',')].concat(lines).join('\n') + '\n';
+}
+
+function toCsvRecord(row, timestamp, source) {
+    return {
+        timestamp: new Date(timestamp).toISOString(),
+        source,
+        currency: row.currency,
+        fiat_amount: row.fiatAmount,
+        unit: row.unit,
+        unit_amount: row.unitAmount,
+        status: row.status
+    };
+}
+
+// e.g. "bitcoin-rates-satoshi-per-fiat-2024-05-01T1200.csv"
+function getExportFilename(pageId, suffix, extension) {
+    const stamp = new Date().toISOString().slice(0, 16).replace(':', '');
+    return `bitcoin-rates-${pageId}${suffix}-${stamp}.${extension}`;
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportCurrentCsv() {
+    const pageId = getActivePageId();
+    const records = getCurrentExportRows(pageId).map(row => toCsvRecord(row, currentRateTimestamp, currentRateSource));
+    downloadFile(getExportFilename(pageId, '', 'csv'), toCsv(records), 'text/csv');
+}
+
+function exportCurrentJson() {
+    const pageId = getActivePageId();
+    // The matrix mixes units and modes; its rows name their own unit
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId] || {};
+    const data = {
+        page: pageId,
+        unit: unit && BITCOIN_UNITS[unit].name,
+        mode,
+        source: currentRateSource,
+        timestamp: new Date(currentRateTimestamp).toISOString(),
+        rates: getCurrentExportRows(pageId)
+    };
+    downloadFile(getExportFilename(pageId, '', 'json'), JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Every stored snapshot, in the active page's terms, oldest first
+async function exportHistoryCsv() {
+    const pageId = getActivePageId();
+    const codes = getShownCurrencies().map(([code]) => code);
+
+    try {
+        const snapshots = await getRateSnapshots();
+        const records = [];
+        snapshots.forEach(snapshot => {
+            codes.filter(code => snapshot.rates[code]).forEach(code => {
+                getCurrencyExportRows(code, snapshot.rates[code], pageId).forEach(row => {
+                    const status = (snapshot.status || {})[code] || 'live';
+                    records.push(toCsvRecord({ ...row, status }, snapshot.timestamp, snapshot.source));
+                });
+            });
+        });
+        downloadFile(getExportFilename(pageId, '-history', 'csv'), toCsv(records), 'text/csv');
+    } catch (error) {
+        console.warn('Could not export rate history:', error);
+        showError(translate('error.history'));
+    }
+}
+
+function initExport() {
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCurrentCsv);
+    document.getElementById('exportJsonBtn').addEventListener('click', exportCurrentJson);
+    document.getElementById('exportHistoryBtn').addEventListener('click', exportHistoryCsv);
+    document.getElementById('printBtn').addEventListener('click', () => window.print());
+}
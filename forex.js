@@ -0,0 +1,40 @@
+// Keeps the last good USD → fiat cross-rates for the CoinDesk provider (core/) in
+// localStorage, so currencies the forex API misses are labelled *cached* rather than
+// falling back to the built-in approximations.
+
+const FOREX_CONFIG = {
+    storageKey: 'forexCrossRates'
+};
+
+function loadCachedCrossRates() {
+    try {
+        return JSON.parse(localStorage.getItem(FOREX_CONFIG.storageKey));
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveCachedCrossRates(rates) {
+    try {
+        localStorage.setItem(FOREX_CONFIG.storageKey, JSON.stringify({ rates, timestamp: Date.now() }));
+    } catch (error) {
+        console.warn('Could not cache forex cross-rates:', error);
+    }
+}
+
+// Resolves to { rates: { [code]: fiat per USD }, status: { [code]: 'live' | 'cached' | 'approx' } }
+async function getUsdCrossRates(currencyCodes, timeout) {
+    let liveRates = {};
+    const cached = loadCachedCrossRates();
+
+    try {
+        liveRates = await fetchUsdCrossRates(timeout);
+        saveCachedCrossRates({ ...(cached ? cached.rates : {}), ...liveRates });
+    } catch (error) {
+        console.warn('Forex API failed:', error);
+    }
+
+    return pickUsdCrossRates(currencyCodes, liveRates, cached ? cached.rates : {});
+}
+
+setUsdCrossRateSource(getUsdCrossRates);
@@ -0,0 +1,39 @@
+// Number format preferences: the formatting itself lives in core/format.js; this
+// loads and saves its compact/full and scientific notation settings and wires
+// up the selects in the header.
+
+function loadNumberFormatSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(NUMBER_FORMAT_CONFIG.storageKey));
+        if (stored) {
+            Object.assign(numberFormatSettings, stored);
+        }
+    } catch (error) {
+        console.warn('Could not read number format settings:', error);
+    }
+}
+
+function saveNumberFormatSettings() {
+    const { notation, scientific } = numberFormatSettings;
+    localStorage.setItem(NUMBER_FORMAT_CONFIG.storageKey, JSON.stringify({ notation, scientific }));
+}
+
+function initNumberFormatSettings() {
+    const notationSelect = document.getElementById('numberNotation');
+    const scientificSelect = document.getElementById('scientificNotation');
+
+    notationSelect.value = numberFormatSettings.notation;
+    scientificSelect.value = numberFormatSettings.scientific;
+
+    const update = () => {
+        numberFormatSettings.notation = notationSelect.value;
+        numberFormatSettings.scientific = scientificSelect.value;
+        saveNumberFormatSettings();
+        displayCurrentActiveTab();
+        updateConverter();
+    };
+    notationSelect.addEventListener('change', update);
+    scientificSelect.addEventListener('change', update);
+}
+
+loadNumberFormatSettings();
@@ -0,0 +1,116 @@
+// Interface language: the catalogues and lookups live in core/i18n.js; this picks
+// the language (the browser's, unless one was chosen in the header), marks the page
+// up for it and re-translates what is on screen when it changes.
+//
+// Static text and text built once at start-up carry the key in attributes, so
+// translatePage() can redo it in place:
+//   data-i18n="key"              the element's content
+//   data-i18n-placeholder="key"  (and -aria-label, -title) that attribute
+//   data-i18n-params="{…}"       JSON placeholder values for the keys above
+// Everything rendered again with new rates calls translate() directly.
+
+// Attributes translatePage() fills in, besides the content
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+// 'auto' follows the browser, otherwise a MESSAGE_CATALOGUES tag
+let languageSetting = 'auto';
+
+function loadLanguageSetting() {
+    try {
+        const stored = localStorage.getItem(I18N_CONFIG.storageKey);
+        if (stored && MESSAGE_CATALOGUES[stored]) {
+            languageSetting = stored;
+        }
+    } catch (error) {
+        console.warn('Could not read the language setting:', error);
+    }
+}
+
+function getBrowserLanguages() {
+    return navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+}
+
+function applyLanguage() {
+    const language = languageSetting === 'auto' ? resolveLanguage(getBrowserLanguages()) : languageSetting;
+    i18nSettings.language = language;
+
+    // Numbers and dates follow a chosen language; otherwise the browser's own locale,
+    // which can be more specific than the catalogue (en-GB dates with English text)
+    numberFormatSettings.locale = languageSetting === 'auto' ? (navigator.language || 'en-US') : language;
+
+    document.documentElement.lang = language;
+    document.documentElement.dir = getTextDirection(language);
+}
+
+// The data-i18n-params attribute, for markup built by scripts
+function i18nParams(params) {
+    return `data-i18n-params="${JSON.stringify(params).replace(/"/g, '&quot;')}"`;
+}
+
+function translatePage(root = document) {
+    document.title = translate('app.title');
+
+    const selector = ['[data-i18n]'].concat(I18N_ATTRIBUTES.map(name => `[data-i18n-${name}]`)).join(', ');
+    root.querySelectorAll(selector).forEach(element => {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+        if (element.hasAttribute('data-i18n')) {
+            element.innerHTML = translate(element.getAttribute('data-i18n'), params);
+        }
+        I18N_ATTRIBUTES.forEach(name => {
+            const key = element.getAttribute(`data-i18n-${name}`);
+            if (key) element.setAttribute(name, translate(key, params));
+        });
+    });
+}
+
+// A rate source as shown to the user: translated for the providers the catalogues
+// know, the provider's own label for the rest
+function getSourceLabel(source) {
+    if (hasMessage(`source.${source}`)) return translate(`source.${source}`);
+    const provider = getRateProvider(source);
+    return provider ? provider.label : translate('source.live');
+}
+
+function getProviderNotice(provider) {
+    return hasMessage(`notice.${provider.id}`) ? translate(`notice.${provider.id}`) : provider.notice;
+}
+
+// Redraw everything whose text came from translate(); markup with data-i18n
+// attributes is re-translated in place
+function refreshTranslatedContent() {
+    translatePage();
+    applyCurrencyPreferences();
+    renderCurrencySettings();
+    updateConverterHint();
+    refreshConverterCurrencies();
+    refreshAlertCurrencies();
+    refreshPriceListCurrencies();
+    refreshPaymentCurrencies();
+    if (paymentQuote) renderPaymentQuote();
+    if (chartState.currencyCode) openChart(chartState.currencyCode, chartState.pageId);
+
+    updateLastUpdateTime(currentRateSource, currentRatesRestored ? currentRateTimestamp : undefined);
+    displayCurrentActiveTab();
+    updateOfflineBanner();
+    setStreamingStatus(streaming.status);
+}
+
+function initLanguageSettings() {
+    const select = document.getElementById('languageSelect');
+    select.innerHTML = '<option value="auto" data-i18n="language.auto"></option>' +
+        Object.keys(MESSAGE_CATALOGUES)
+            .map(language => `<option value="${language}" lang="${language}">${getLanguageDisplayName(language)}</option>`)
+            .join('');
+    select.value = languageSetting;
+
+    select.addEventListener('change', () => {
+        languageSetting = select.value;
+        localStorage.setItem(I18N_CONFIG.storageKey, languageSetting);
+        applyLanguage();
+        refreshTranslatedContent();
+    });
+}
+
+loadLanguageSetting();
+applyLanguage();
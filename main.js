@@ -0,0 +1,47 @@
+// Entry point. The DOM-free core (core/) is an ES module shared with the Node tests;
+// the page's feature scripts are classic scripts sharing globals. The core is
+// published on window first, then the feature scripts are loaded in order and the
+// app is started.
+
+import * as core from './core/index.js';
+
+Object.assign(window, core);
+
+// In dependency order; script.js comes last and defines startApp()
+const PAGE_SCRIPTS = [
+    'i18n.js',
+    'denominations.js',
+    'matrix.js',
+    'format.js',
+    'forex.js',
+    'aggregation.js',
+    'rate-history.js',
+    'auto-refresh.js',
+    'trends.js',
+    'currency-settings.js',
+    'converter.js',
+    'alerts.js',
+    'charts.js',
+    'url-state.js',
+    'export.js',
+    'price-list.js',
+    'payment-request.js',
+    'offline.js',
+    'streaming.js',
+    'script.js'
+];
+
+// Scripts added with async = false download in parallel but run in the order added
+function loadPageScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = false;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.body.appendChild(script);
+    });
+}
+
+await Promise.all(PAGE_SCRIPTS.map(loadPageScript));
+startApp();
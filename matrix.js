@@ -0,0 +1,150 @@
+// All-units comparison: a table with one row per currency and a column for every
+// page of every unit (fiat per BTC, per BITS, per sat, … and units per reference
+// amount), so one currency can be compared across units without visiting each tab.
+// Columns sort when their header is clicked; the currency filter applies as on the
+// card pages. Shown as its own main tab, next to the unit tabs.
+
+const MATRIX_CONFIG = {
+    tabId: 'all',
+    pageId: 'all-units'
+};
+
+// The column rows are sorted by ('currency' or a page id) and the direction;
+// a null column keeps the display order from the currency settings
+let matrixSort = { column: null, direction: 'ascending' };
+
+function createMatrixTabButton() {
+    return `
+        <button class="main-tab-btn" id="${MATRIX_CONFIG.tabId}-tab-btn" data-tab="${MATRIX_CONFIG.tabId}"
+            role="tab" aria-controls="${MATRIX_CONFIG.tabId}-tab" aria-selected="false" tabindex="-1" data-i18n="matrix.tab"></button>
+    `;
+}
+
+function createMatrixTabPanel() {
+    return `
+        <div id="${MATRIX_CONFIG.tabId}-tab" class="main-tab" role="tabpanel" aria-labelledby="${MATRIX_CONFIG.tabId}-tab-btn">
+            <div id="${MATRIX_CONFIG.pageId}" class="page active">
+                <h2 class="page-title" data-i18n="matrix.title"></h2>
+                <div class="matrix-container" hidden></div>
+            </div>
+        </div>
+    `;
+}
+
+// Fiat per unit columns first, then units per amount, each in unit order
+function getMatrixColumns() {
+    const pages = Object.entries(PAGE_DENOMINATIONS);
+    return pages.filter(([, page]) => page.mode === 'fiat-per-unit')
+        .concat(pages.filter(([, page]) => page.mode === 'units-per-fiat'))
+        .map(([pageId, { unit, mode }]) => ({
+            pageId,
+            label: translate(mode === 'fiat-per-unit' ? 'nav.fiatPerUnit' : 'matrix.unitsPerAmount', { unit: BITCOIN_UNITS[unit].label })
+        }));
+}
+
+// The shown currencies with a rate, in the chosen sort order
+function getMatrixRows(bitcoinRates) {
+    const rows = getShownCurrencies().filter(([code]) => bitcoinRates[code]);
+    const { column, direction } = matrixSort;
+    if (!column) return rows;
+
+    const sign = direction === 'ascending' ? 1 : -1;
+    const valueOf = ([code, config]) => (column === 'currency'
+        ? config.name
+        : getPageValue(bitcoinRates[code], code, column));
+
+    return rows.slice().sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        return sign * (column === 'currency' ? valueA.localeCompare(valueB, i18nSettings.language) : valueA - valueB);
+    });
+}
+
+function createMatrixHeaderCell(column, label) {
+    const sorted = matrixSort.column === column;
+    const indicator = sorted ? (matrixSort.direction === 'ascending' ? '▲' : '▼') : '';
+    return `
+        <th scope="col"${sorted ? ` aria-sort="${matrixSort.direction}"` : ''}>
+            <button class="matrix-sort" data-column="${column}">${label}<span class="matrix-sort-indicator" aria-hidden="true">${indicator}</span></button>
+        </th>
+    `;
+}
+
+function createMatrixValueCells(code, bitcoinPrice, columns) {
+    return columns.map(({ pageId }) =>
+        `<td data-page="${pageId}">${formatPageValue(getPageValue(bitcoinPrice, code, pageId), code, pageId)}</td>`
+    ).join('');
+}
+
+function displayComparisonMatrix(bitcoinRates) {
+    const container = document.querySelector(`#${MATRIX_CONFIG.pageId} .matrix-container`);
+
+    if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
+        document.getElementById('loading').style.display = 'none';
+        showError(translate('error.noData'));
+        return;
+    }
+
+    const columns = getMatrixColumns();
+    const rows = getMatrixRows(bitcoinRates).map(([code, config]) => `
+        <tr data-currency="${code}">
+            <th scope="row">
+                <span class="currency-flag">${config.flag}</span>
+                <span class="currency-name">${config.name}</span>
+                <span class="currency-code">${code.toUpperCase()} ${createRateStatusBadge(code)}</span>
+            </th>
+            <td>${formatFiat(config.amount, code, { dropWholeDecimals: true })}</td>
+            ${createMatrixValueCells(code, bitcoinRates[code], columns)}
+        </tr>
+    `);
+
+    container.innerHTML = `
+        <table class="matrix-table">
+            <caption class="visually-hidden">${translate('matrix.caption')}</caption>
+            <thead>
+                <tr>
+                    ${createMatrixHeaderCell('currency', translate('common.currency'))}
+                    <th scope="col">${translate('common.amount')}</th>
+                    ${columns.map(({ pageId, label }) => createMatrixHeaderCell(pageId, label)).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows.length > 0 ? rows.join('') : `<tr><td colspan="${columns.length + 2}" class="matrix-empty">${translate('matrix.empty')}</td></tr>`}</tbody>
+        </table>
+    `;
+
+    document.getElementById('loading').style.display = 'none';
+    document.getElementById('error').style.display = 'none';
+    container.hidden = false;
+}
+
+// Change a row's figures in place when only its rate moved, e.g. on a streamed tick
+function updateComparisonMatrixRow(currencyCode, direction) {
+    const row = document.querySelector(`#${MATRIX_CONFIG.pageId} tr[data-currency="${currencyCode}"]`);
+    if (!row) return;
+
+    row.querySelectorAll('td[data-page]').forEach(cell => {
+        const pageId = cell.dataset.page;
+        cell.textContent = formatPageValue(getPageValue(currentRates[currencyCode], currencyCode, pageId), currencyCode, pageId);
+        cell.classList.remove('tick-up', 'tick-down');
+        void cell.offsetWidth; // restart the animation
+        cell.classList.add(`tick-${direction}`);
+    });
+}
+
+// Clicking a header sorts by it; clicking it again reverses the order
+function sortComparisonMatrix(column) {
+    matrixSort = {
+        column,
+        direction: matrixSort.column === column && matrixSort.direction === 'ascending' ? 'descending' : 'ascending'
+    };
+    displayComparisonMatrix(currentRates);
+    // The table was redrawn, so put focus back on the header that was clicked
+    document.querySelector(`#${MATRIX_CONFIG.pageId} .matrix-sort[data-column="${column}"]`).focus();
+}
+
+function initComparisonMatrix() {
+    document.querySelector(`#${MATRIX_CONFIG.pageId} .matrix-container`).addEventListener('click', event => {
+        const button = event.target.closest('.matrix-sort');
+        if (button) sortComparisonMatrix(button.dataset.column);
+    });
+}
@@ -0,0 +1,67 @@
+// Installable, offline-capable app: registers the service worker (sw.js), shows an
+// "offline, as of …" banner while the browser has no connection and refreshes the
+// rates as soon as it is back, via Background Sync where the browser supports it
+// and the `online` event everywhere else.
+
+const OFFLINE_CONFIG = {
+    serviceWorkerUrl: 'sw.js',
+    // Must match REFRESH_SYNC_TAG in sw.js
+    syncTag: 'refresh-rates'
+};
+
+function registerServiceWorker() {
+    // Service workers need http(s); opening index.html as a file still works, just not offline
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register(OFFLINE_CONFIG.serviceWorkerUrl).catch(error => {
+        console.warn('Could not register the service worker:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'refresh-rates') {
+            fetchRates();
+        }
+    });
+}
+
+// Ask the service worker to wake the page up once the connection returns
+async function requestBackgroundRefresh() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(OFFLINE_CONFIG.syncTag);
+        }
+    } catch (error) {
+        console.warn('Could not schedule a background refresh:', error);
+    }
+}
+
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+// Called whenever the rates or the connection change
+function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    banner.hidden = !isOffline();
+    if (banner.hidden) return;
+
+    banner.textContent = currentRateSource === 'sample'
+        ? translate('offline.sample')
+        : translate('offline.stored', {
+            time: new Date(currentRateTimestamp).toLocaleString(numberFormatSettings.locale),
+            age: describeSnapshotAge(currentRateTimestamp)
+        });
+}
+
+function initOfflineMode() {
+    registerServiceWorker();
+
+    window.addEventListener('offline', updateOfflineBanner);
+    window.addEventListener('online', () => {
+        updateOfflineBanner();
+        fetchRates();
+    });
+}
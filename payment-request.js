@@ -0,0 +1,226 @@
+// Payment requests for the till: a fiat amount quoted in bitcoin at the current rate,
+// shown as a BIP21 `bitcoin:` link and a QR code drawn on this device (core/qrcode.js).
+// Quotes expire after the configured time and can be re-quoted at the rate of the moment.
+
+const PAYMENT_REQUEST_CONFIG = {
+    storageKey: 'paymentRequest',
+    // Quote validity choices, in seconds
+    expiryOptions: [60, 300, 900, 1800, 3600],
+    // Rates older than this (e.g. restored while offline) aren't good enough to charge with
+    maxRateAge: 10 * 60 * 1000
+};
+
+// Remembered between visits; the quote itself is not
+let paymentSettings = {
+    address: '',
+    label: '',
+    currency: 'usd',
+    expiry: 900
+};
+
+// The quote on screen (see createPaymentQuote()), or null
+let paymentQuote = null;
+let paymentCountdownTimer = null;
+
+function loadPaymentSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PAYMENT_REQUEST_CONFIG.storageKey));
+        if (stored) {
+            paymentSettings = { ...paymentSettings, ...stored };
+        }
+    } catch (error) {
+        console.warn('Could not read the payment request settings:', error);
+    }
+}
+
+function savePaymentSettings() {
+    localStorage.setItem(PAYMENT_REQUEST_CONFIG.storageKey, JSON.stringify(paymentSettings));
+}
+
+// The message key and parameters naming a validity choice
+function describeExpiry(seconds) {
+    return seconds < 3600
+        ? { key: 'payment.expiryMinutes', params: { count: seconds / 60 } }
+        : { key: 'payment.expiryHours', params: { count: seconds / 3600 } };
+}
+
+function showPaymentError(message) {
+    document.getElementById('paymentError').textContent = message;
+}
+
+// Why the current rate for a currency can't be used for a quote, or '' if it can
+function getQuoteRateProblem(currencyCode) {
+    const code = currencyCode.toUpperCase();
+    if (!currentRates[currencyCode]) return translate('payment.noRate', { code });
+    if (currentRateSource === 'sample' || currentRateStatus[currencyCode] === 'approx') {
+        return translate('payment.approxRate', { code });
+    }
+    if (Date.now() - currentRateTimestamp > PAYMENT_REQUEST_CONFIG.maxRateAge) {
+        return translate('payment.oldRate', { age: describeSnapshotAge(currentRateTimestamp) });
+    }
+    return '';
+}
+
+// Quote `fiatAmount` at the current rate and show it
+function quotePayment(fiatAmount, currencyCode) {
+    if (!isBitcoinAddress(paymentSettings.address)) {
+        showPaymentError(translate('payment.needAddress'));
+        document.getElementById('paymentAddress').classList.add('invalid');
+        return;
+    }
+
+    // createPaymentQuote() checks this too, but its message is in English
+    if (!(fiatAmount > 0)) {
+        showPaymentError(translate('payment.needAmount'));
+        return;
+    }
+    const problem = getQuoteRateProblem(currencyCode);
+    if (problem) {
+        showPaymentError(problem);
+        return;
+    }
+
+    try {
+        paymentQuote = createPaymentQuote({
+            fiatAmount,
+            currencyCode,
+            bitcoinPrice: currentRates[currencyCode],
+            expirySeconds: paymentSettings.expiry
+        });
+    } catch (error) {
+        showPaymentError(error.message);
+        return;
+    }
+
+    showPaymentError('');
+    renderPaymentQuote();
+    clearInterval(paymentCountdownTimer);
+    paymentCountdownTimer = setInterval(updatePaymentCountdown, 1000);
+}
+
+function getPaymentUri(quote) {
+    return buildBip21Uri({ address: paymentSettings.address, sats: quote.sats, label: paymentSettings.label });
+}
+
+function renderPaymentQuote() {
+    const quote = paymentQuote;
+    const uri = getPaymentUri(quote);
+    const container = document.getElementById('paymentQuote');
+
+    const qr = document.getElementById('paymentQr');
+    qr.innerHTML = qrCodeToSvg(encodeQrCode(uri));
+    const image = qr.querySelector('svg');
+    image.setAttribute('role', 'img');
+    image.setAttribute('aria-label', translate('payment.qrLabel', { amount: formatUnitAmount(quote.sats, 'sats') }));
+
+    document.getElementById('paymentAmounts').innerHTML = `
+        <div class="payment-fiat">${formatFiat(quote.fiatAmount, quote.currencyCode)}</div>
+        <div class="payment-bitcoin">${formatUnitAmount(quote.sats / BITCOIN_UNITS.sats.perBtc, 'btc')}</div>
+        <div class="payment-sats">${translate('payment.sats', { count: quote.sats })}</div>
+    `;
+    document.getElementById('paymentRate').textContent = translate('payment.rate', {
+        price: formatFiat(quote.bitcoinPrice, quote.currencyCode),
+        time: new Date(quote.createdAt).toLocaleTimeString(numberFormatSettings.locale)
+    });
+    document.getElementById('paymentUri').textContent = uri;
+    document.getElementById('paymentOpenLink').href = uri;
+
+    container.hidden = false;
+    updatePaymentCountdown();
+}
+
+function updatePaymentCountdown() {
+    if (!paymentQuote) return;
+
+    const secondsLeft = getQuoteSecondsLeft(paymentQuote);
+    const expired = secondsLeft === 0;
+    document.getElementById('paymentQuote').classList.toggle('expired', expired);
+    document.getElementById('paymentCountdown').textContent = expired
+        ? translate('payment.expired')
+        : translate('payment.countdown', { time: formatCountdown(secondsLeft) });
+
+    if (expired) {
+        clearInterval(paymentCountdownTimer);
+        paymentCountdownTimer = null;
+        showPaymentError(translate('payment.expiredHint'));
+    }
+}
+
+async function copyPaymentUri() {
+    try {
+        await navigator.clipboard.writeText(getPaymentUri(paymentQuote));
+        showPaymentError('');
+        document.getElementById('paymentCopyBtn').textContent = translate('payment.copied');
+        setTimeout(() => {
+            document.getElementById('paymentCopyBtn').textContent = translate('payment.copy');
+        }, 2000);
+    } catch (error) {
+        console.warn('Could not copy the payment link:', error);
+        showPaymentError(translate('payment.copyFailed'));
+    }
+}
+
+function initPaymentRequest() {
+    loadPaymentSettings();
+
+    const addressInput = document.getElementById('paymentAddress');
+    const labelInput = document.getElementById('paymentLabel');
+    const expirySelect = document.getElementById('paymentExpiry');
+
+    expirySelect.innerHTML = PAYMENT_REQUEST_CONFIG.expiryOptions
+        .map(seconds => {
+            const { key, params } = describeExpiry(seconds);
+            return `<option value="${seconds}" data-i18n="${key}" ${i18nParams(params)}></option>`;
+        })
+        .join('');
+    expirySelect.value = String(paymentSettings.expiry);
+    addressInput.value = paymentSettings.address;
+    labelInput.value = paymentSettings.label;
+
+    addressInput.addEventListener('input', () => {
+        paymentSettings.address = addressInput.value.trim();
+        addressInput.classList.toggle('invalid', paymentSettings.address !== '' && !isBitcoinAddress(paymentSettings.address));
+        savePaymentSettings();
+    });
+    labelInput.addEventListener('input', () => {
+        paymentSettings.label = labelInput.value.trim();
+        savePaymentSettings();
+    });
+    expirySelect.addEventListener('change', () => {
+        paymentSettings.expiry = Number(expirySelect.value);
+        savePaymentSettings();
+    });
+    document.getElementById('paymentCurrency').addEventListener('change', event => {
+        paymentSettings.currency = event.target.value;
+        savePaymentSettings();
+    });
+
+    document.getElementById('paymentForm').addEventListener('submit', event => {
+        event.preventDefault();
+        const amountInput = document.getElementById('paymentAmount');
+        const amount = parseAmountInput(amountInput.value);
+
+        amountInput.classList.toggle('invalid', !(amount > 0));
+        quotePayment(amount, paymentSettings.currency);
+    });
+
+    document.getElementById('paymentRequoteBtn').addEventListener('click', () => {
+        quotePayment(paymentQuote.fiatAmount, paymentQuote.currencyCode);
+    });
+    document.getElementById('paymentCopyBtn').addEventListener('click', copyPaymentUri);
+
+    refreshPaymentCurrencies();
+}
+
+// Rebuild the currency list after the user's currency selection changed
+function refreshPaymentCurrencies() {
+    const select = document.getElementById('paymentCurrency');
+    select.innerHTML = Object.entries(currencies)
+        .map(([code, config]) => `<option value="${code}">${config.flag} ${code.toUpperCase()}</option>`)
+        .join('');
+
+    if (!currencies[paymentSettings.currency]) {
+        paymentSettings.currency = Object.keys(currencies)[0] || paymentSettings.currency;
+    }
+    select.value = paymentSettings.currency;
+}
@@ -0,0 +1,261 @@
+// Merchant price list: catalogue items with a fiat price, shown in every bitcoin
+// unit at the current rate with a markup/discount and rounding. Saved in
+// localStorage and importable/exportable as CSV.
+
+const PRICE_LIST_CONFIG = {
+    storageKey: 'priceList',
+    // Rounding steps in sats; 0 keeps the exact amount
+    roundingSteps: [0, 1, 10, 100, 1000, 10000]
+};
+
+// {
+//   currency: fiat the item prices are entered in
+//   markup:   percentage added to every price, negative for a discount
+//   rounding: step in sats the bitcoin prices are rounded to
+//   items:    [{ id, name, price }]
+// }
+let priceList = {
+    currency: 'usd',
+    markup: 0,
+    rounding: 1,
+    items: []
+};
+
+function loadPriceList() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRICE_LIST_CONFIG.storageKey));
+        if (stored && Array.isArray(stored.items)) {
+            priceList = { ...priceList, ...stored };
+        }
+    } catch (error) {
+        console.warn('Could not read the price list:', error);
+    }
+}
+
+function savePriceList() {
+    localStorage.setItem(PRICE_LIST_CONFIG.storageKey, JSON.stringify(priceList));
+}
+
+// The message key and parameters naming a rounding step
+function describeRoundingStep(step) {
+    if (step === 0) return { key: 'priceList.exact', params: {} };
+    const oneBits = step === BITCOIN_UNITS.sats.perBtc / BITCOIN_UNITS.bits.perBtc;
+    return { key: oneBits ? 'priceList.roundingOneBits' : 'priceList.roundingSats', params: { count: step } };
+}
+
+// An item's fiat price after markup
+function getItemFiatPrice(item) {
+    return item.price * (1 + priceList.markup / 100);
+}
+
+// An item's price in sats after markup and rounding, or null without a rate.
+// Rounding never takes a priced item down to nothing, nor a free one up to a step.
+function getItemSats(item, bitcoinPrice) {
+    if (!bitcoinPrice) return null;
+
+    const sats = convertFiatToUnits(getItemFiatPrice(item), bitcoinPrice, 'sats');
+    const step = priceList.rounding;
+    if (!(step > 0) || sats === 0) return sats;
+    return Math.max(Math.round(sats / step), 1) * step;
+}
+
+// The rounded sats amount expressed in another unit, e.g. 12,300 sats = 123 BITS
+function satsToUnit(sats, unit) {
+    return sats * BITCOIN_UNITS[unit].perBtc / BITCOIN_UNITS.sats.perBtc;
+}
+
+// Split one CSV line into cells, honouring "quoted, cells" and "" escapes
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells.map(value => value.trim());
+}
+
+// Items from CSV text with "name,price" rows; a header row and unparseable rows are skipped
+function parsePriceListCsv(text) {
+    return text.split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map(parseCsvLine)
+        .map(([name, price]) => ({ name, price: parseAmountInput(price || '', '.') }))
+        .filter(item => item.name && item.price >= 0);
+}
+
+function priceListToCsv() {
+    const units = Object.keys(BITCOIN_UNITS);
+    const header = ['name', 'price', 'currency'].concat(units.map(unit => BITCOIN_UNITS[unit].name));
+
+    const rows = priceList.items.map(item => {
+        const sats = getItemSats(item, currentRates[priceList.currency]);
+        return [item.name, item.price, priceList.currency.toUpperCase()]
+            .concat(units.map(unit => (sats === null ? '' : satsToUnit(sats, unit))));
+    });
+
+    return [header].concat(rows).map(row => row.map(toCsvCell).join(',')).join('\n') + '\n';
+}
+
+function addPriceListItems(items) {
+    const now = Date.now();
+    items.forEach((item, index) => {
+        priceList.items.push({ id: now + index, name: item.name, price: item.price });
+    });
+    savePriceList();
+    updatePriceList();
+}
+
+function initPriceList() {
+    loadPriceList();
+
+    const markupInput = document.getElementById('priceListMarkup');
+    const roundingSelect = document.getElementById('priceListRounding');
+
+    roundingSelect.innerHTML = PRICE_LIST_CONFIG.roundingSteps
+        .map(step => {
+            const { key, params } = describeRoundingStep(step);
+            return `<option value="${step}" data-i18n="${key}" ${i18nParams(params)}></option>`;
+        })
+        .join('');
+    roundingSelect.value = String(priceList.rounding);
+    markupInput.value = priceList.markup;
+
+    document.getElementById('priceListCurrency').addEventListener('change', event => {
+        priceList.currency = event.target.value;
+        savePriceList();
+        updatePriceList();
+    });
+    markupInput.addEventListener('input', () => {
+        const markup = parseFloat(markupInput.value);
+        markupInput.classList.toggle('invalid', !(markup > -100) && markupInput.value !== '');
+        priceList.markup = markup > -100 ? markup : 0;
+        savePriceList();
+        updatePriceList();
+    });
+    roundingSelect.addEventListener('change', () => {
+        priceList.rounding = Number(roundingSelect.value);
+        savePriceList();
+        updatePriceList();
+    });
+
+    document.getElementById('priceListForm').addEventListener('submit', event => {
+        event.preventDefault();
+        const nameInput = document.getElementById('priceListItemName');
+        const priceInput = document.getElementById('priceListItemPrice');
+        const price = parseAmountInput(priceInput.value);
+
+        priceInput.classList.toggle('invalid', !(price >= 0));
+        if (!nameInput.value.trim() || !(price >= 0)) return;
+
+        addPriceListItems([{ name: nameInput.value.trim(), price }]);
+        nameInput.value = '';
+        priceInput.value = '';
+        nameInput.focus();
+    });
+
+    document.getElementById('priceListBody').addEventListener('click', event => {
+        if (!event.target.classList.contains('price-list-remove')) return;
+        const id = Number(event.target.closest('tr').dataset.id);
+        priceList.items = priceList.items.filter(item => item.id !== id);
+        savePriceList();
+        updatePriceList();
+    });
+
+    document.getElementById('priceListImport').addEventListener('change', async event => {
+        const file = event.target.files[0];
+        if (!file) return;
+        addPriceListItems(parsePriceListCsv(await file.text()));
+        event.target.value = '';
+    });
+
+    document.getElementById('priceListExportBtn').addEventListener('click', () => {
+        downloadFile(`price-list-${priceList.currency}.csv`, priceListToCsv(), 'text/csv');
+    });
+
+    document.getElementById('priceListClearBtn').addEventListener('click', () => {
+        if (priceList.items.length > 0 && !confirm(translate('priceList.clearConfirm'))) return;
+        priceList.items = [];
+        savePriceList();
+        updatePriceList();
+    });
+
+    refreshPriceListCurrencies();
+}
+
+// Rebuild the currency list after the user's currency selection changed
+function refreshPriceListCurrencies() {
+    const select = document.getElementById('priceListCurrency');
+    select.innerHTML = Object.entries(currencies)
+        .map(([code, config]) => `<option value="${code}">${config.flag} ${code.toUpperCase()}</option>`)
+        .join('');
+
+    if (!currencies[priceList.currency]) {
+        priceList.currency = Object.keys(currencies)[0] || priceList.currency;
+    }
+    select.value = priceList.currency;
+    updatePriceList();
+}
+
+// Re-price every item; called whenever the rates change
+function updatePriceList() {
+    const units = Object.keys(BITCOIN_UNITS);
+    const bitcoinPrice = currentRates[priceList.currency];
+
+    document.getElementById('priceListHead').innerHTML = `
+        <tr>
+            <th>${translate('priceList.item')}</th>
+            <th>${translate('priceList.price')}</th>
+            ${units.map(unit => `<th>${BITCOIN_UNITS[unit].name}</th>`).join('')}
+            <th></th>
+        </tr>
+    `;
+
+    const body = document.getElementById('priceListBody');
+    if (priceList.items.length === 0) {
+        body.innerHTML = `<tr><td colspan="${units.length + 3}" class="price-list-empty">${translate('priceList.empty')}</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = priceList.items.map(item => {
+        const sats = getItemSats(item, bitcoinPrice);
+        const cells = units.map(unit => {
+            if (sats === null) return '<td>—</td>';
+            const amount = satsToUnit(sats, unit);
+            return `<td>${formatNumber(amount, fractionDigitsFor(amount, BITCOIN_UNITS[unit].decimals))}</td>`;
+        });
+
+        return `
+            <tr data-id="${item.id}">
+                <td class="price-list-name"></td>
+                <td>${formatFiat(getItemFiatPrice(item), priceList.currency)}</td>
+                ${cells.join('')}
+                <td><button class="currency-remove price-list-remove" title="${translate('priceList.remove')}">&times;</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    // Item names are user text, so they are set as text rather than markup
+    body.querySelectorAll('.price-list-name').forEach((cell, index) => {
+        cell.textContent = priceList.items[index].name;
+    });
+}
@@ -0,0 +1,102 @@
+// Persistent history of fetched rates, stored in IndexedDB
+//
+// Each snapshot is { timestamp, source, rates, status } exactly as passed to applyRates().
+
+const RATE_HISTORY_CONFIG = {
+    dbName: 'bitsExchangeRates',
+    dbVersion: 1,
+    storeName: 'rateSnapshots',
+    // Snapshots older than this are pruned when new ones are saved
+    maxAgeDays: 90
+};
+
+let rateHistoryDb = null;
+
+function openRateHistoryDb() {
+    if (rateHistoryDb) return rateHistoryDb;
+
+    rateHistoryDb = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(RATE_HISTORY_CONFIG.dbName, RATE_HISTORY_CONFIG.dbVersion);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(RATE_HISTORY_CONFIG.storeName, { keyPath: 'timestamp' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    rateHistoryDb.catch(() => {
+        rateHistoryDb = null;
+    });
+
+    return rateHistoryDb;
+}
+
+// Run `action(store)` in a transaction and resolve with the value of the request it returns
+async function withRateHistoryStore(mode, action) {
+    const db = await openRateHistoryDb();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(RATE_HISTORY_CONFIG.storeName, mode);
+        const request = action(transaction.objectStore(RATE_HISTORY_CONFIG.storeName));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function saveRateSnapshot(snapshot) {
+    const cutoff = Date.now() - RATE_HISTORY_CONFIG.maxAgeDays * 24 * 60 * 60 * 1000;
+
+    await withRateHistoryStore('readwrite', store => {
+        store.delete(IDBKeyRange.upperBound(cutoff, true));
+        return store.put(snapshot);
+    });
+}
+
+// The newest snapshot within `range` (an IDBKeyRange, or null for all), or null if there is none
+async function getLastRateSnapshot(range) {
+    const db = await openRateHistoryDb();
+
+    return new Promise((resolve, reject) => {
+        const store = db.transaction(RATE_HISTORY_CONFIG.storeName, 'readonly').objectStore(RATE_HISTORY_CONFIG.storeName);
+        const request = store.openCursor(range, 'prev');
+
+        request.onsuccess = () => resolve(request.result ? request.result.value : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getLatestRateSnapshot() {
+    return getLastRateSnapshot(null);
+}
+
+// The newest snapshot taken at or before `timestamp`, for computing deltas
+function getRateSnapshotBefore(timestamp) {
+    return getLastRateSnapshot(IDBKeyRange.upperBound(timestamp));
+}
+
+// All snapshots between `since` and `until` (inclusive), oldest first
+async function getRateSnapshots({ since = 0, until = Date.now() } = {}) {
+    return withRateHistoryStore('readonly', store => store.getAll(IDBKeyRange.bound(since, until)));
+}
+
+// Human-friendly age of a snapshot, e.g. "5 min ago"
+function describeSnapshotAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+    if (minutes < 1) return translate('age.justNow');
+    if (minutes < 60) return translate('age.minutes', { count: minutes });
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return translate('age.hours', { count: hours });
+
+    return translate('age.days', { count: Math.floor(hours / 24) });
+}
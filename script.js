@@ -1,592 +1,318 @@
-// Currency configurations with symbols and names
-const currencies = {
-    'usd': { name: 'US Dollar', symbol: '$', flag: '🇺🇸', amount: 1 },
-    'eur': { name: 'Euro', symbol: '€', flag: '🇪🇺', amount: 1 },
-    'gbp': { name: 'British Pound', symbol: '£', flag: '🇬🇧', amount: 1 },
-    'jpy': { name: 'Japanese Yen', symbol: '¥', flag: '🇯🇵', amount: 100 },
-    'aud': { name: 'Australian Dollar', symbol: 'A$', flag: '🇦🇺', amount: 1 },
-    'cad': { name: 'Canadian Dollar', symbol: 'C$', flag: '🇨🇦', amount: 1 },
-    'chf': { name: 'Swiss Franc', symbol: 'CHF', flag: '🇨🇭', amount: 1 },
-    'cny': { name: 'Chinese Yuan', symbol: '¥', flag: '🇨🇳', amount: 1 },
-    'sek': { name: 'Swedish Krona', symbol: 'kr', flag: '🇸🇪', amount: 10 },
-    'nzd': { name: 'New Zealand Dollar', symbol: 'NZ$', flag: '🇳🇿', amount: 1 },
-    'mxn': { name: 'Mexican Peso', symbol: '$', flag: '🇲🇽', amount: 10 },
-    'sgd': { name: 'Singapore Dollar', symbol: 'S$', flag: '🇸🇬', amount: 1 },
-    'hkd': { name: 'Hong Kong Dollar', symbol: 'HK$', flag: '🇭🇰', amount: 10 },
-    'nok': { name: 'Norwegian Krone', symbol: 'kr', flag: '🇳🇴', amount: 10 },
-    'try': { name: 'Turkish Lira', symbol: '₺', flag: '🇹🇷', amount: 10 },
-    'zar': { name: 'South African Rand', symbol: 'R', flag: '🇿🇦', amount: 10 },
-    'brl': { name: 'Brazilian Real', symbol: 'R$', flag: '🇧🇷', amount: 1 },
-    'inr': { name: 'Indian Rupee', symbol: '₹', flag: '🇮🇳', amount: 10 },
-    'krw': { name: 'South Korean Won', symbol: '₩', flag: '🇰🇷', amount: 1000 },
-    'twd': { name: 'Taiwan Dollar', symbol: 'NT$', flag: '🇹🇼', amount: 10 }
-};
+// Currency configurations with symbols and names, in display order, plus
+// `amount` (the reference amount) and `presets` (every amount listed on "per Fiat" pages).
+// Built from ISO_4217 and the user's preferences by applyCurrencyPreferences().
+const currencies = {};
 
 let currentRates = {};
 
-// Sample rates for fallback when API fails
-const SAMPLE_RATES = {
-    'usd': 43000, 'eur': 39000, 'gbp': 34000, 'jpy': 6400000,
-    'aud': 65000, 'cad': 58000, 'chf': 38000, 'cny': 310000,
-    'sek': 460000, 'nzd': 71000, 'mxn': 740000, 'sgd': 58000,
-    'hkd': 340000, 'nok': 470000, 'try': 1480000, 'zar': 780000,
-    'brl': 220000, 'inr': 3600000, 'krw': 57000000, 'twd': 1390000
-};
+// How each rate in currentRates was obtained: 'live', 'cached' or 'approx'
+let currentRateStatus = {};
+
+// Provider id the current rates came from, and when they were fetched
+let currentRateSource = 'sample';
+let currentRateTimestamp = Date.now();
+
+// Whether the current rates were restored from stored history rather than fetched
+let currentRatesRestored = false;
+
+// Rate statuses shown as a badge; the text and tooltip are the status.<status> and
+// status.<status>Title messages
+const RATE_STATUS_BADGES = ['live', 'cached', 'approx'];
 
 // Main tab switching functionality
-function showMainTab(tabId) {
-    // Hide all main tabs
+function showMainTab(tabId, { updateUrl = true } = {}) {
+    // Show only the selected main tab
     document.querySelectorAll('.main-tab').forEach(tab => {
-        tab.classList.remove('active');
+        tab.classList.toggle('active', tab.id === `${tabId}-tab`);
     });
+    markSelectedTab('mainTabs', `${tabId}-tab-btn`);
 
-    // Remove active class from all main tab buttons
-    document.querySelectorAll('.main-tab-btn').forEach(btn => {
-        btn.classList.remove('active');
+    // Show only the sub-navigation of the selected tab
+    document.querySelectorAll('.navigation').forEach(nav => {
+        nav.classList.toggle('active', nav.id === `${tabId}-sub-navigation`);
     });
 
-    // Show selected main tab
-    document.getElementById(tabId + '-tab').classList.add('active');
-
-    // Add active class to clicked button
-    event.target.classList.add('active');
-
-    // Show/hide sub-navigation based on tab
-    const btcSubNav = document.getElementById('btc-sub-navigation');
-    const btsSubNav = document.getElementById('bts-sub-navigation');
-    const stsSubNav = document.getElementById('sts-sub-navigation');
-
-    // Hide all sub-navigations first
-    btcSubNav.style.display = 'none';
-    btsSubNav.style.display = 'none';
-    stsSubNav.style.display = 'none';
-
-    // Show the appropriate sub-navigation
-    if (tabId === 'btc') {
-        btcSubNav.style.display = 'flex';
-    } else if (tabId === 'bts') {
-        btsSubNav.style.display = 'flex';
-    } else if (tabId === 'sts') {
-        stsSubNav.style.display = 'flex';
-    }
-
     // Display appropriate content
     if (Object.keys(currentRates).length > 0) {
         displayCurrentActiveTab();
     }
-}
 
-function showPage(pageId) {
-    // Hide all pages
-    document.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
-    });
-
-    // Remove active class from all nav buttons
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-
-    // Show selected page
-    document.getElementById(pageId).classList.add('active');
-
-    // Add active class to clicked button
-    event.target.classList.add('active');
+    if (updateUrl) pushUrlState();
+}
 
-    // Update display if we have rates
-    if (Object.keys(currentRates).length > 0) {
-        if (pageId === 'fiat-per-bits') {
-            displayFiatPerBits(currentRates);
-        } else {
-            displayBitsPerFiat(currentRates);
-        }
+// The fetch currently in progress, shared by every caller so two never run at once
+let activeRatesFetch = null;
+
+// Options:
+//   inPlace - keep the cards on screen and move their figures when the rates arrive,
+//             rather than showing the loading text and rebuilding them; if no provider
+//             answers, the rates shown stay (streaming's fallback polling)
+function fetchRates({ inPlace = false } = {}) {
+    if (!activeRatesFetch) {
+        activeRatesFetch = loadRates({ inPlace }).finally(() => {
+            activeRatesFetch = null;
+        });
+        activeRatesFetch.then(scheduleAutoRefresh);
+        updateRefreshCountdown();
     }
+    return activeRatesFetch;
 }
 
-async function fetchRates() {
-    document.getElementById('loading').style.display = 'block';
+// Resolves to { success, rateLimited } so the auto-refresh scheduler can back off
+async function loadRates({ inPlace = false } = {}) {
     document.getElementById('error').style.display = 'none';
-    hideAllContainers();
+    if (!inPlace) {
+        document.getElementById('loading').style.display = 'block';
+        hideAllContainers();
+    }
 
     try {
-        // Get all supported currencies from our currencies object
-        const currencyList = Object.keys(currencies).join(',');
-
-        // Use CoinGecko API for real-time rates across all currencies
-        const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=${currencyList}`);
-
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-        const data = await response.json();
-
-        // Extract Bitcoin rates for all currencies
-        if (!data.bitcoin) {
-            throw new Error('Invalid data format received from CoinGecko API');
+        // Ask the configured providers, in priority order or all at once, for all supported currencies
+        const codes = Object.keys(currencies);
+        const { rates, status, changes, sources, provider, failures } = aggregationSettings.mode === 'single'
+            ? await fetchRatesFromProviders(codes)
+            : await fetchAggregatedRatesFromProviders(codes);
+
+        applyRates(rates, provider.id, status, { changes, sources, inPlace });
+        saveRateSnapshot({ timestamp: Date.now(), source: provider.id, rates, status, sources })
+            .catch(error => console.warn('Could not store rate snapshot:', error));
+        if (provider.notice) {
+            showError(getProviderNotice(provider));
         }
 
-        currentRates = data.bitcoin;
-
-        updateLastUpdateTime('coingecko');
-        displayCurrentActiveTab();
+        return { success: true, rateLimited: isRateLimited(failures) };
 
     } catch (error) {
-        console.warn('CoinGecko API Error:', error);
-
-        // Fallback to CoinDesk API for USD only, then approximate others
-        try {
-            console.log('Trying fallback CoinDesk API...');
-            const fallbackResponse = await fetch('https://api.coindesk.com/v1/bpi/currentprice.json');
-
-            if (!fallbackResponse.ok) throw new Error('Fallback API also failed');
-
-            const fallbackData = await fallbackResponse.json();
-            const btcUsdRate = fallbackData.bpi.USD.rate_float;
-
-            // Use approximate rates based on USD price
-            currentRates = {
-                'usd': btcUsdRate,
-                'eur': btcUsdRate * 0.85,
-                'gbp': btcUsdRate * 0.73,
-                'jpy': btcUsdRate * 110,
-                'aud': btcUsdRate * 1.35,
-                'cad': btcUsdRate * 1.25,
-                'chf': btcUsdRate * 0.88,
-                'cny': btcUsdRate * 6.4,
-                'sek': btcUsdRate * 9.5,
-                'nzd': btcUsdRate * 1.45,
-                'mxn': btcUsdRate * 18,
-                'sgd': btcUsdRate * 1.35,
-                'hkd': btcUsdRate * 7.8,
-                'nok': btcUsdRate * 9.2,
-                'try': btcUsdRate * 27,
-                'zar': btcUsdRate * 15,
-                'brl': btcUsdRate * 5.2,
-                'inr': btcUsdRate * 83,
-                'krw': btcUsdRate * 1300,
-                'twd': btcUsdRate * 31
-            };
-
-            updateLastUpdateTime('coindesk');
-            displayCurrentActiveTab();
-            showError('Using CoinDesk fallback API with approximate exchange rates.');
-
-        } catch (fallbackError) {
-            console.warn('All APIs failed:', fallbackError);
-            showError('API Error - Using sample rates. Please check your internet connection.');
-            currentRates = SAMPLE_RATES;
-            updateLastUpdateTime('sample');
-            displayCurrentActiveTab();
+        console.warn('All APIs failed:', error);
+        if (inPlace && Object.keys(currentRates).length > 0) {
+            return { success: false, rateLimited: isRateLimited(error.failures) };
         }
-    }
-}
-
-function hideAllContainers() {
-    // BTC containers
-    document.getElementById('fiatPerBtcContainer').style.display = 'none';
-    document.getElementById('btcPerFiatContainer').style.display = 'none';
-    // BTS containers
-    document.getElementById('fiatPerBitsContainer').style.display = 'none';
-    document.getElementById('bitsPerFiatContainer').style.display = 'none';
-    // STS containers
-    document.getElementById('fiatPerSatoshiContainer').style.display = 'none';
-    document.getElementById('satoshiPerFiatContainer').style.display = 'none';
-}
 
-function displayCurrentActiveTab() {
-    const activeMainTab = document.querySelector('.main-tab.active');
-    if (activeMainTab) {
-        const tabId = activeMainTab.id.replace('-tab', '');
-        if (tabId === 'btc') {
-            displayCurrentBtcPage();
-        } else if (tabId === 'bts') {
-            displayCurrentBtsPage();
-        } else if (tabId === 'sts') {
-            displayCurrentStsPage();
+        const restored = await restoreLatestSnapshot();
+        if (!restored) {
+            applyRates(SAMPLE_RATES, 'sample', markRates(SAMPLE_RATES, 'approx'));
         }
-    }
-}
 
-function displayCurrentBtcPage() {
-    const activePage = document.querySelector('#btc-tab .page.active');
-    if (activePage && activePage.id === 'fiat-per-btc') {
-        displayFiatPerBtc(currentRates);
-    } else if (activePage && activePage.id === 'btc-per-fiat') {
-        displayBtcPerFiat(currentRates);
-    } else {
-        displayFiatPerBtc(currentRates);
-    }
-}
+        // Offline, the banner says what is shown; refresh once the connection returns
+        if (isOffline()) {
+            requestBackgroundRefresh();
+        } else if (restored) {
+            showError(translate('error.storedRates'));
+        } else {
+            showError(translate('error.sampleRates'));
+        }
 
-function displayCurrentBtsPage() {
-    const activePage = document.querySelector('#bts-tab .page.active');
-    if (activePage && activePage.id === 'fiat-per-bits') {
-        displayFiatPerBits(currentRates);
-    } else if (activePage && activePage.id === 'bits-per-fiat') {
-        displayBitsPerFiat(currentRates);
-    } else {
-        displayFiatPerBits(currentRates);
+        return { success: false, rateLimited: isRateLimited(error.failures) };
     }
 }
 
-function displayCurrentStsPage() {
-    const activePage = document.querySelector('#sts-tab .page.active');
-    if (activePage && activePage.id === 'fiat-per-satoshi') {
-        displayFiatPerSatoshi(currentRates);
-    } else if (activePage && activePage.id === 'satoshi-per-fiat') {
-        displaySatoshiPerFiat(currentRates);
-    } else {
-        displayFiatPerSatoshi(currentRates);
-    }
+function isRateLimited(failures = []) {
+    return failures.some(failure => failure.error.status === 429);
 }
 
-function showPage(pageId) {
-    // Get the current active main tab to determine which pages to work with
-    const activeMainTab = document.querySelector('.main-tab.active');
-    if (!activeMainTab) return;
-
-    // Hide all pages within the active main tab
-    activeMainTab.querySelectorAll('.page').forEach(page => {
-        page.classList.remove('active');
-    });
-
-    // Remove active class from all nav buttons in all sub-navigations
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.classList.remove('active');
+// Apply the most recently stored rates; resolves to false if there are none
+async function restoreLatestSnapshot() {
+    const snapshot = await getLatestRateSnapshot().catch(error => {
+        console.warn('Could not read rate history:', error);
+        return null;
     });
 
-    // Show selected page
-    document.getElementById(pageId).classList.add('active');
-
-    // Add active class to clicked button
-    event.target.classList.add('active');
+    if (!snapshot) return false;
 
-    // Update display based on the page
-    if (Object.keys(currentRates).length > 0) {
-        if (pageId === 'fiat-per-btc') {
-            displayFiatPerBtc(currentRates);
-        } else if (pageId === 'btc-per-fiat') {
-            displayBtcPerFiat(currentRates);
-        } else if (pageId === 'fiat-per-bits') {
-            displayFiatPerBits(currentRates);
-        } else if (pageId === 'bits-per-fiat') {
-            displayBitsPerFiat(currentRates);
-        } else if (pageId === 'fiat-per-satoshi') {
-            displayFiatPerSatoshi(currentRates);
-        } else if (pageId === 'satoshi-per-fiat') {
-            displaySatoshiPerFiat(currentRates);
-        }
-    }
+    applyRates(snapshot.rates, snapshot.source, snapshot.status, { snapshotTime: snapshot.timestamp, sources: snapshot.sources });
+    return true;
 }
 
-// BTC Tab Functions
-function displayFiatPerBtc(bitcoinRates) {
-    const container = document.getElementById('fiatPerBtcContainer');
-    container.innerHTML = '';
-
-    if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
-        document.getElementById('loading').style.display = 'none';
-        showError('No exchange rate data available');
-        return;
+// Store a new set of rates and refresh everything that depends on them.
+// Options:
+//   snapshotTime - set when the rates were restored from stored history
+//   changes      - 24h % changes supplied by the provider, if any
+//   inPlace      - update the figures of the cards on screen rather than rebuilding
+//                  them, when the same currencies are shown
+function applyRates(rates, source, status, { snapshotTime, changes, sources, inPlace = false } = {}) {
+    const previous = currentRates;
+    const sameCurrencies = Object.keys(previous).sort().join() === Object.keys(rates).sort().join();
+    currentRates = rates;
+    currentRateStatus = status;
+    currentRateSources = sources || {};
+    currentRateSource = source;
+    currentRateTimestamp = snapshotTime || Date.now();
+    currentRatesRestored = Boolean(snapshotTime);
+    currentRateChanges = changes || {};
+    updateLastUpdateTime(source, snapshotTime);
+    if (inPlace && sameCurrencies) {
+        updateRateCards(previous);
+    } else {
+        displayCurrentActiveTab();
     }
-
-    Object.entries(currencies).forEach(([code, config]) => {
-        if (bitcoinRates[code]) {
-            const bitcoinPrice = bitcoinRates[code];
-            const rateCard = createFiatPerBtcCard(code, config, bitcoinPrice);
-            container.appendChild(rateCard);
-        }
-    });
-
-    document.getElementById('loading').style.display = 'none';
-    document.getElementById('error').style.display = 'none';
-    container.style.display = 'grid';
-}
-
-function displayBtcPerFiat(bitcoinRates) {
-    const container = document.getElementById('btcPerFiatContainer');
-    container.innerHTML = '';
-
-    if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
-        document.getElementById('loading').style.display = 'none';
-        showError('No exchange rate data available');
-        return;
+    updateConverter();
+    updatePriceList();
+    updateOfflineBanner();
+
+    if (source !== 'sample') {
+        // Trends redraw the page, so cards updated in place keep theirs until the next full render
+        if (!inPlace) updateRateTrends();
+        // Stored rates may be days old; only fresh ones may raise an alert
+        if (!snapshotTime) checkPriceAlerts(rates, status);
+        announceRateUpdate(source);
     }
+}
 
-    Object.entries(currencies).forEach(([code, config]) => {
-        if (bitcoinRates[code]) {
-            const bitcoinPrice = bitcoinRates[code];
-            const amount = config.amount;
-            const btcAmount = amount / bitcoinPrice; // How much BTC you can buy
-            const rateCard = createBtcPerFiatCard(code, config, amount, btcAmount);
-            container.appendChild(rateCard);
-        }
+function hideAllContainers() {
+    document.querySelectorAll('.rates-grid, .matrix-container').forEach(container => {
+        container.hidden = true;
     });
-
-    document.getElementById('loading').style.display = 'none';
-    document.getElementById('error').style.display = 'none';
-    container.style.display = 'grid';
 }
 
-// STS Tab Functions
-function displayFiatPerSatoshi(bitcoinRates) {
-    const container = document.getElementById('fiatPerSatoshiContainer');
-    container.innerHTML = '';
-
-    if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
-        document.getElementById('loading').style.display = 'none';
-        showError('No exchange rate data available');
-        return;
+function displayCurrentActiveTab() {
+    const pageId = getActivePageId();
+    if (pageId === MATRIX_CONFIG.pageId) {
+        displayComparisonMatrix(currentRates);
+    } else if (pageId) {
+        displayPage(pageId, currentRates);
     }
-
-    Object.entries(currencies).forEach(([code, config]) => {
-        if (bitcoinRates[code]) {
-            const bitcoinPrice = bitcoinRates[code];
-            const satoshiRate = bitcoinPrice / 100000000; // Convert BTC to Satoshi
-            const rateCard = createFiatPerSatoshiCard(code, config, satoshiRate);
-            container.appendChild(rateCard);
-        }
-    });
-
-    document.getElementById('loading').style.display = 'none';
-    document.getElementById('error').style.display = 'none';
-    container.style.display = 'grid';
 }
 
-function displaySatoshiPerFiat(bitcoinRates) {
-    const container = document.getElementById('satoshiPerFiatContainer');
-    container.innerHTML = '';
-
-    if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
-        document.getElementById('loading').style.display = 'none';
-        showError('No exchange rate data available');
-        return;
-    }
+// Show a sub-page, switching to the main tab it belongs to if needed
+function showPage(pageId, { updateUrl = true } = {}) {
+    const page = document.getElementById(pageId);
+    const mainTab = page.closest('.main-tab');
+    const tabId = mainTab.id.replace('-tab', '');
 
-    Object.entries(currencies).forEach(([code, config]) => {
-        if (bitcoinRates[code]) {
-            const bitcoinPrice = bitcoinRates[code];
-            const satoshiRate = bitcoinPrice / 100000000; // Convert BTC to Satoshi rate
-            const amount = config.amount;
-            const satoshiAmount = amount / satoshiRate; // How many Satoshi you can buy
-            const rateCard = createSatoshiPerFiatCard(code, config, amount, satoshiAmount);
-            container.appendChild(rateCard);
-        }
+    // Hide the other pages within the page's main tab
+    mainTab.querySelectorAll('.page').forEach(item => {
+        item.classList.toggle('active', item === page);
     });
 
-    document.getElementById('loading').style.display = 'none';
-    document.getElementById('error').style.display = 'none';
-    container.style.display = 'grid';
-}
-
-function displayFiatPerBits(bitcoinRates) {
-    const container = document.getElementById('fiatPerBitsContainer');
-    container.innerHTML = '';
+    // Mark the matching button in the tab's sub-navigation
+    markSelectedTab(`${tabId}-sub-navigation`, `${pageId}-btn`);
 
-    if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
-        document.getElementById('loading').style.display = 'none';
-        showError('No exchange rate data available');
+    if (!mainTab.classList.contains('active')) {
+        showMainTab(tabId, { updateUrl });
         return;
     }
 
-    Object.entries(currencies).forEach(([code, config]) => {
-        if (bitcoinRates[code]) {
-            const bitcoinPrice = bitcoinRates[code];
-            const bitsRate = bitcoinPrice / 1000000; // Convert BTC to BITS
+    // Update display if we have rates
+    if (Object.keys(currentRates).length > 0) {
+        displayCurrentActiveTab();
+    }
 
-            const rateCard = createFiatPerBitsCard(code, config, bitsRate);
-            container.appendChild(rateCard);
-        }
-    });
+    if (updateUrl) pushUrlState();
+}
 
-    document.getElementById('loading').style.display = 'none';
-    document.getElementById('error').style.display = 'none';
-    container.style.display = 'grid';
+// The id of the page currently on screen
+function getActivePageId() {
+    const activePage = document.querySelector('.main-tab.active .page.active');
+    return activePage ? activePage.id : null;
 }
 
-function displayBitsPerFiat(bitcoinRates) {
-    const container = document.getElementById('bitsPerFiatContainer');
+// Render the cards of any "fiat per unit" or "units per fiat" page
+function displayPage(pageId, bitcoinRates) {
+    const container = document.querySelector(`#${pageId} .rates-grid`);
     container.innerHTML = '';
 
     if (!bitcoinRates || Object.keys(bitcoinRates).length === 0) {
         document.getElementById('loading').style.display = 'none';
-        showError('No exchange rate data available');
+        showError(translate('error.noData'));
         return;
     }
 
-    Object.entries(currencies).forEach(([code, config]) => {
+    getShownCurrencies().forEach(([code, config]) => {
         if (bitcoinRates[code]) {
-            const bitcoinPrice = bitcoinRates[code];
-            const bitsRate = bitcoinPrice / 1000000; // Convert BTC to BITS rate
-
-            const amount = config.amount;
-            const bitsAmount = amount / bitsRate; // How many BITS you can buy
-            const rateCard = createBitsPerFiatCard(code, config, amount, bitsAmount);
+            const rateCard = createRateCard(code, config, pageId, bitcoinRates[code]);
             container.appendChild(rateCard);
         }
     });
 
+    applyTrendsToGrid(container, pageId);
+    applySourcesToGrid(container, pageId);
+
     document.getElementById('loading').style.display = 'none';
     document.getElementById('error').style.display = 'none';
-    container.style.display = 'grid';
-}
-
-// BTC Card Creation Functions
-function createFiatPerBtcCard(currencyCode, config, rate) {
-    const card = document.createElement('div');
-    card.className = 'rate-card';
-
-    const formattedRate = rate.toLocaleString('en-US', {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
-    });
-
-    card.innerHTML = `
-        <div class="currency-info">
-            <span class="currency-flag">${config.flag}</span>
-            <div>
-                <div class="currency-name">1 BTC</div>
-                <div style="font-size: 12px; color: #666;">${currencyCode.toUpperCase()}</div>
-            </div>
-        </div>
-        <div class="rate-value">
-            ${config.symbol}${formattedRate}
-        </div>
-    `;
-
-    return card;
+    container.hidden = false;
 }
 
-function createBtcPerFiatCard(currencyCode, config, fiatAmount, btcAmount) {
+// "1 BITS  $0.06" on fiat per unit pages; on units per fiat pages a small table
+// of the currency's amount presets, e.g. "$1  1.67K sats", "$5  8.33K sats", ...
+function createRateCard(currencyCode, config, pageId, bitcoinPrice) {
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
     const card = document.createElement('div');
     card.className = 'rate-card';
+    card.dataset.currency = currencyCode;
 
-    // Format BTC amount with appropriate precision
-    const formattedBtc = btcAmount >= 1
-        ? btcAmount.toFixed(4)
-        : btcAmount >= 0.001
-            ? btcAmount.toFixed(6)
-            : btcAmount.toExponential(2);
+    const label = mode === 'fiat-per-unit' ? `1 ${BITCOIN_UNITS[unit].label}` : config.name;
+    const value = mode === 'fiat-per-unit'
+        ? formatFiat(getPageValue(bitcoinPrice, currencyCode, pageId), currencyCode)
+        : createAmountPresetTable(currencyCode, config, unit, bitcoinPrice);
 
     card.innerHTML = `
         <div class="currency-info">
             <span class="currency-flag">${config.flag}</span>
             <div>
-                <div class="currency-name">${config.symbol}${fiatAmount}</div>
-                <div style="font-size: 12px; color: #666;">${currencyCode.toUpperCase()}</div>
+                <div class="currency-name">${label}</div>
+                <div class="currency-code">${currencyCode.toUpperCase()} ${createRateStatusBadge(currencyCode)}</div>
             </div>
         </div>
         <div class="rate-value">
-            ${formattedBtc} BTC
+            ${value}
         </div>
     `;
 
     return card;
 }
 
-// STS Card Creation Functions
-function createFiatPerSatoshiCard(currencyCode, config, rate) {
-    const card = document.createElement('div');
-    card.className = 'rate-card';
-
-    // Format very small numbers with appropriate precision
-    const formattedRate = rate < 0.000001
-        ? rate.toExponential(2)
-        : rate.toFixed(8);
-
-    card.innerHTML = `
-        <div class="currency-info">
-            <span class="currency-flag">${config.flag}</span>
-            <div>
-                <div class="currency-name">1 Satoshi</div>
-                <div style="font-size: 12px; color: #666;">${currencyCode.toUpperCase()}</div>
-            </div>
-        </div>
-        <div class="rate-value">
-            ${config.symbol}${formattedRate}
-        </div>
-    `;
-
-    return card;
+// Update the cards of every currency whose rate differs from `previous`
+function updateRateCards(previous) {
+    Object.keys(currentRates)
+        .filter(code => currentRates[code] !== previous[code])
+        .forEach(code => updateRateCard(code, currentRates[code] > previous[code] ? 'up' : 'down'));
 }
 
-function createSatoshiPerFiatCard(currencyCode, config, fiatAmount, satoshiAmount) {
-    const card = document.createElement('div');
-    card.className = 'rate-card';
+// Change a card's figures in place when only its rate moved, e.g. on a streamed tick,
+// briefly marking the direction of the move
+function updateRateCard(currencyCode, direction) {
+    const pageId = getActivePageId();
+    if (pageId === MATRIX_CONFIG.pageId) {
+        updateComparisonMatrixRow(currencyCode, direction);
+        return;
+    }
+    const card = pageId && document.querySelector(`#${pageId} .rate-card[data-currency="${currencyCode}"]`);
+    if (!card) return;
 
-    // Format Satoshi amount with appropriate precision
-    const formattedSatoshi = satoshiAmount >= 1000000000
-        ? (satoshiAmount / 1000000000).toFixed(2) + 'B'
-        : satoshiAmount >= 1000000
-            ? (satoshiAmount / 1000000).toFixed(2) + 'M'
-            : satoshiAmount >= 1000
-                ? (satoshiAmount / 1000).toFixed(2) + 'K'
-                : satoshiAmount.toFixed(0);
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
+    const bitcoinPrice = currentRates[currencyCode];
+    const value = card.querySelector('.rate-value');
 
-    card.innerHTML = `
-        <div class="currency-info">
-            <span class="currency-flag">${config.flag}</span>
-            <div>
-                <div class="currency-name">${config.symbol}${fiatAmount}</div>
-                <div style="font-size: 12px; color: #666;">${currencyCode.toUpperCase()}</div>
-            </div>
-        </div>
-        <div class="rate-value">
-            ${formattedSatoshi} sats
-        </div>
-    `;
+    if (mode === 'fiat-per-unit') {
+        value.textContent = formatFiat(getPageValue(bitcoinPrice, currencyCode, pageId), currencyCode);
+    } else {
+        value.querySelectorAll('.amount-presets td').forEach((cell, index) => {
+            const amount = currencies[currencyCode].presets[index];
+            cell.textContent = formatUnitAmount(convertFiatToUnits(amount, bitcoinPrice, unit), unit);
+        });
+    }
 
-    return card;
+    value.classList.remove('tick-up', 'tick-down');
+    void value.offsetWidth; // restart the animation
+    value.classList.add(`tick-${direction}`);
 }
 
-function createFiatPerBitsCard(currencyCode, config, rate) {
-    const card = document.createElement('div');
-    card.className = 'rate-card';
-
-    // Format the rate with 6 decimal places and space after 3 digits
-    const sixDecimalRate = rate.toFixed(6);
-    const formattedRate = sixDecimalRate.replace(/(\.\d{3})(\d{3})$/, '$1 $2');
-
-    card.innerHTML = `
-        <div class="currency-info">
-            <span class="currency-flag">${config.flag}</span>
-            <div>
-                <div class="currency-name">1 BITS</div>
-                <div style="font-size: 12px; color: #666;">${currencyCode.toUpperCase()}</div>
-            </div>
-        </div>
-        <div class="rate-value">
-            ${config.symbol}${formattedRate}
-        </div>
-    `;
-
-    return card;
+function createAmountPresetTable(currencyCode, config, unit, bitcoinPrice) {
+    const rows = config.presets.map(amount => `
+        <tr>
+            <th scope="row">${formatFiat(amount, currencyCode, { dropWholeDecimals: true })}</th>
+            <td>${formatUnitAmount(convertFiatToUnits(amount, bitcoinPrice, unit), unit)}</td>
+        </tr>
+    `);
+    return `<table class="amount-presets">${rows.join('')}</table>`;
 }
 
-function createBitsPerFiatCard(currencyCode, config, fiatAmount, bitsAmount) {
-    const card = document.createElement('div');
-    card.className = 'rate-card';
-
-    // Format BITS amount with 2 decimal places
-    const formattedBits = bitsAmount >= 1000000
-        ? (bitsAmount / 1000000).toFixed(2) + 'M'
-        : bitsAmount >= 1000
-            ? (bitsAmount / 1000).toFixed(2) + 'K'
-            : bitsAmount.toFixed(2);
+// Small live / cached / approx. label for a currency's rate
+function createRateStatusBadge(currencyCode) {
+    const status = currentRateStatus[currencyCode];
+    if (!RATE_STATUS_BADGES.includes(status)) return '';
 
-    card.innerHTML = `
-        <div class="currency-info">
-            <span class="currency-flag">${config.flag}</span>
-            <div>
-                <div class="currency-name">${config.symbol}${fiatAmount}</div>
-                <div style="font-size: 12px; color: #666;">${currencyCode.toUpperCase()}</div>
-            </div>
-        </div>
-        <div class="rate-value">
-            ${formattedBits} BITS
-        </div>
-    `;
-
-    return card;
+    return `<span class="rate-status rate-status-${status}" title="${translate(`status.${status}Title`)}">${translate(`status.${status}`)}</span>`;
 }
 
 function showError(message) {
@@ -596,35 +322,82 @@ function showError(message) {
     document.getElementById('loading').style.display = 'none';
 }
 
-function updateLastUpdateTime(source = 'live') {
-    const now = new Date();
-    const timeString = now.toLocaleString();
-
-    let sourceText = '';
-    switch (source) {
-        case 'coingecko':
-            sourceText = 'CoinGecko API';
-            break;
-        case 'coindesk':
-            sourceText = 'CoinDesk API (approx. rates)';
-            break;
-        case 'sample':
-            sourceText = 'Sample Data';
-            break;
-        default:
-            sourceText = 'Live Data';
+function updateLastUpdateTime(source = 'live', snapshotTime) {
+    const updated = new Date(snapshotTime || Date.now());
+    let timeString = updated.toLocaleString(numberFormatSettings.locale);
+
+    // Sources are provider ids, labelled by getSourceLabel()
+    let sourceText = getSourceLabel(source);
+
+    if (snapshotTime) {
+        timeString += ` (${describeSnapshotAge(snapshotTime)})`;
+        sourceText = translate('update.cachedSource', { source: sourceText });
+    }
+
+    document.getElementById('lastUpdate').textContent = translate('update.lastUpdated', { time: timeString, source: sourceText });
+}
+
+// Tell screen reader users about new rates through the live region, using the first
+// card of the active page, e.g. "Rates updated from CoinGecko. USD: 1 BITS = $0.06"
+// (of the default page while the comparison matrix is shown).
+// Refreshes that change nothing on that card stay quiet.
+function announceRateUpdate(source) {
+    const pageId = PAGE_DENOMINATIONS[getActivePageId()] ? getActivePageId() : DENOMINATION_CONFIG.defaultPage;
+    const first = getShownCurrencies().find(([code]) => currentRates[code]);
+    if (!pageId || !first) return;
+
+    const [code, config] = first;
+    const { unit, mode } = PAGE_DENOMINATIONS[pageId];
+    const value = mode === 'fiat-per-unit'
+        ? `1 ${BITCOIN_UNITS[unit].label} = ${formatFiat(getPageValue(currentRates[code], code, pageId), code)}`
+        : `${formatFiat(config.amount, code, { dropWholeDecimals: true })} = ${formatUnitAmount(convertFiatToUnits(config.amount, currentRates[code], unit), unit)}`;
+
+    const message = translate('announce.updated', { source: getSourceLabel(source), code: code.toUpperCase(), value });
+    const announcer = document.getElementById('rateAnnouncer');
+    if (announcer.textContent !== message) {
+        announcer.textContent = message;
     }
+}
 
-    document.getElementById('lastUpdate').textContent = `Last updated: ${timeString} • Source: ${sourceText}`;
+// Allow overriding the provider order from the page URL, e.g. ?providers=mock
+function applyProviderOrderFromUrl() {
+    const requested = new URLSearchParams(window.location.search).get('providers');
+    if (requested) {
+        setRateProviderOrder(requested.split(',').map(id => id.trim()));
+    }
 }
 
-// Initialize the app when page loads
-document.addEventListener('DOMContentLoaded', function () {
-    // Start with sample data to avoid loading issues
-    currentRates = SAMPLE_RATES;
-    updateLastUpdateTime('sample');
-    displayCurrentActiveTab();
+// Initialize the app; called by main.js once every script is loaded
+async function startApp() {
+    applyProviderOrderFromUrl();
+    initDenominationTabs();
+    initThemeSettings();
+    initLanguageSettings();
+    applyCurrencyPreferences();
+    initCurrencySettings();
+    initConverter();
+    initPriceAlerts();
+    initCharts();
+    initAutoRefresh();
+    initTrendSorting();
+    initNumberFormatSettings();
+    initExport();
+    initAggregationSettings();
+    initPriceList();
+    initComparisonMatrix();
+    initPaymentRequest();
+    initUrlState();
+    initOfflineMode();
+    initStreaming();
+    translatePage();
+
+    // Start with the most recently stored rates, or sample data if nothing is stored yet,
+    // while checking whether the Node server (server/) can proxy the rate APIs
+    const [restored] = await Promise.all([restoreLatestSnapshot(), detectRatesServer()]);
+    if (!restored) {
+        applyRates(SAMPLE_RATES, 'sample', markRates(SAMPLE_RATES, 'approx'));
+    }
 
     // Then try to fetch real data
     fetchRates();
-});
\ No newline at end of file
+}
@@ -0,0 +1,226 @@
+// The Node server: serves the app's files, proxies the rate APIs the providers call
+// through a shared cache, and answers /api/rates with the conversions the pages show.
+//
+//   GET /api/status                    { proxy, cacheTtl, upstream }; the page looks for
+//                                      this at start-up (detectRatesServer() in core/)
+//   GET /api/rates?unit=sats&fiat=eur  rates converted to a unit, see getRatesApiResponse()
+//   GET /proxy/<host>/<path>           https://<host>/<path>, for the endpoints in
+//                                      RATE_PROVIDER_CONFIG.proxiedEndpoints
+//   GET /<file>                        the app's files
+
+import http from 'node:http';
+import path from 'node:path';
+import { readFile, stat } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import {
+    RATE_PROVIDER_CONFIG, BITCOIN_UNITS, DEFAULT_CURRENCY_AMOUNTS, ISO_4217, numberFormatSettings,
+    setUpstreamFetch, fetchRatesFromProviders, getAmountPresets, convertFiatToUnits, formatFiat, formatUnitAmount
+} from '../core/index.js';
+import { createProxyCache } from './upstream.js';
+
+export const SERVER_CONFIG = {
+    root: fileURLToPath(new URL('..', import.meta.url)),
+    proxyPath: 'proxy',
+    // How long upstream answers are reused, in milliseconds
+    cacheTtl: 60000,
+    defaultUnit: 'btc',
+    defaultLocale: 'en-US',
+    contentTypes: {
+        '.html': 'text/html; charset=utf-8',
+        '.js': 'text/javascript; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.json': 'application/json',
+        '.webmanifest': 'application/manifest+json',
+        '.svg': 'image/svg+xml',
+        '.png': 'image/png',
+        '.ico': 'image/x-icon',
+        '.md': 'text/markdown; charset=utf-8'
+    }
+};
+
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'content-type': 'application/json', 'cache-control': 'no-cache' });
+    response.end(JSON.stringify(data));
+}
+
+// A unit by id, name, label or alias, e.g. "sats", "Satoshi" or "µBTC"
+function findUnit(name) {
+    const wanted = String(name).toLowerCase();
+    return Object.values(BITCOIN_UNITS).find(unit =>
+        [unit.id, unit.name, unit.label].concat(unit.aliases).some(candidate => candidate.toLowerCase() === wanted));
+}
+
+// The requested locale if Intl knows it (formatting is done here, not by the client)
+function getSupportedLocale(tag) {
+    try {
+        return (tag && Intl.NumberFormat.supportedLocalesOf(tag)[0]) || SERVER_CONFIG.defaultLocale;
+    } catch (error) {
+        return SERVER_CONFIG.defaultLocale;
+    }
+}
+
+// The figures a currency's cards show on the unit's two pages: "1 Satoshi = €0.0005500"
+// and the amount presets, "€1 = 1.82K sats", "€5 = 9.09K sats", ...
+function describeCurrency(code, bitcoinPrice, status, unit) {
+    const fiatPerUnit = bitcoinPrice / BITCOIN_UNITS[unit].perBtc;
+    return {
+        name: ISO_4217[code].name,
+        status,
+        btcPrice: bitcoinPrice,
+        fiatPerUnit: { value: fiatPerUnit, formatted: formatFiat(fiatPerUnit, code) },
+        unitsPerFiat: getAmountPresets(code).map(amount => {
+            const value = convertFiatToUnits(amount, bitcoinPrice, unit);
+            return {
+                amount,
+                formattedAmount: formatFiat(amount, code, { dropWholeDecimals: true }),
+                value,
+                formatted: formatUnitAmount(value, unit)
+            };
+        })
+    };
+}
+
+// /api/rates?unit=<unit>&fiat=<codes>&locale=<tag>: every parameter is optional; the
+// default is BTC in the currencies the page shows out of the box, formatted for en-US
+export async function getRatesApiResponse(params) {
+    const unit = findUnit(params.get('unit') || SERVER_CONFIG.defaultUnit);
+    if (!unit) {
+        return { status: 400, data: { error: `Unknown unit "${params.get('unit')}"` } };
+    }
+
+    const defaultCodes = Object.keys(DEFAULT_CURRENCY_AMOUNTS);
+    const codes = params.get('fiat')
+        ? params.get('fiat').toLowerCase().split(',').map(code => code.trim()).filter(Boolean)
+        : defaultCodes;
+    const unknown = codes.filter(code => !Object.hasOwn(ISO_4217, code));
+    if (unknown.length > 0) {
+        return { status: 400, data: { error: `Unknown currency ${unknown.join(', ').toUpperCase()}` } };
+    }
+
+    let result;
+    try {
+        // Always ask for the default currencies too, so most requests share one cached upstream answer
+        result = await fetchRatesFromProviders(Array.from(new Set(defaultCodes.concat(codes))));
+    } catch (error) {
+        return { status: 502, data: { error: 'No rate provider answered' } };
+    }
+
+    const savedLocale = numberFormatSettings.locale;
+    try {
+        numberFormatSettings.locale = getSupportedLocale(params.get('locale'));
+        const currencies = {};
+        codes.filter(code => result.rates[code]).forEach(code => {
+            currencies[code] = describeCurrency(code, result.rates[code], result.status[code], unit.id);
+        });
+
+        return {
+            status: 200,
+            data: {
+                unit: unit.id,
+                unitName: unit.name,
+                source: result.provider.id,
+                currencies,
+                unavailable: codes.filter(code => !result.rates[code])
+            }
+        };
+    } finally {
+        numberFormatSettings.locale = savedLocale;
+    }
+}
+
+async function proxyRequest(response, cache, endpoint, search) {
+    if (!RATE_PROVIDER_CONFIG.proxiedEndpoints.includes(endpoint)) {
+        sendJson(response, 403, { error: `${endpoint} is not proxied` });
+        return;
+    }
+
+    const host = endpoint.split('/')[0];
+    try {
+        const answer = await cache.get(`https://${endpoint}${search}`);
+        response.writeHead(answer.status, {
+            'content-type': answer.contentType,
+            'cache-control': 'no-cache',
+            'x-cache': answer.cached ? 'HIT' : 'MISS'
+        });
+        response.end(answer.body);
+    } catch (error) {
+        sendJson(response, 502, { error: `${host} did not answer` });
+    }
+}
+
+async function serveFile(response, root, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        relative = null;
+    }
+
+    // No dotfiles (.git) and no way out of the root
+    if (relative === null || relative.split('/').some(part => part.startsWith('.'))) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    let file = path.join(root, relative);
+    try {
+        if ((await stat(file)).isDirectory()) {
+            file = path.join(file, 'index.html');
+        }
+        const body = await readFile(file);
+        response.writeHead(200, {
+            'content-type': SERVER_CONFIG.contentTypes[path.extname(file)] || 'application/octet-stream',
+            'cache-control': 'no-cache'
+        });
+        response.end(body);
+    } catch (error) {
+        sendJson(response, 404, { error: 'Not found' });
+    }
+}
+
+// Options:
+//   upstream     - where upstream answers come from (fetchUpstream, or a fixture)
+//   upstreamName - reported by /api/status, e.g. 'live' or 'fixture'
+//   cacheTtl     - milliseconds an upstream answer is reused
+//   root         - directory of the app's files
+// The providers in core/ are pointed at the same cache, so one process serves one upstream.
+export function createRatesServer({ upstream, upstreamName = 'live', cacheTtl = SERVER_CONFIG.cacheTtl, root = SERVER_CONFIG.root }) {
+    const cache = createProxyCache(upstream, { ttl: cacheTtl });
+
+    setUpstreamFetch(async url => {
+        const answer = await cache.get(url);
+        return new Response(answer.body, { status: answer.status, headers: { 'content-type': answer.contentType } });
+    });
+
+    async function handleRequest(request, response) {
+        if (request.method !== 'GET') {
+            response.writeHead(405, { allow: 'GET' });
+            response.end();
+            return;
+        }
+
+        const { pathname, search, searchParams } = new URL(request.url, 'http://localhost');
+        const proxied = new RegExp(`^/${SERVER_CONFIG.proxyPath}/(.+)$`).exec(pathname);
+
+        if (pathname === '/api/status') {
+            sendJson(response, 200, { proxy: SERVER_CONFIG.proxyPath, cacheTtl: cacheTtl / 1000, upstream: upstreamName });
+        } else if (pathname === '/api/rates') {
+            const { status, data } = await getRatesApiResponse(searchParams);
+            sendJson(response, status, data);
+        } else if (proxied) {
+            await proxyRequest(response, cache, proxied[1], search);
+        } else {
+            await serveFile(response, root, pathname);
+        }
+    }
+
+    const server = http.createServer((request, response) => {
+        handleRequest(request, response).catch(error => {
+            console.error('Request failed:', error);
+            if (!response.headersSent) sendJson(response, 500, { error: 'Internal error' });
+        });
+    });
+    server.cache = cache;
+    return server;
+}
@@ -0,0 +1,66 @@
+// Offline stand-in for the upstream APIs the providers call. It answers in each API's
+// own format from one table of BTC prices ({ usd: 64500, ... }, as in mock-rates.json),
+// so the page, the proxy and /api/rates all work without a connection.
+
+const HOUR = 60 * 60 * 1000;
+
+function json(data, status = 200) {
+    return { status, contentType: 'application/json', body: JSON.stringify(data) };
+}
+
+// CoinGecko's market chart granularity: 5-minute points for a day, hourly up to 90 days, then daily
+function getHistoryStep(days) {
+    if (days <= 1) return HOUR / 12;
+    return days <= 90 ? HOUR : 24 * HOUR;
+}
+
+// A gentle wave around the current price, ending on it, so charts have something to draw
+function buildHistory(price, days, now) {
+    const step = getHistoryStep(days);
+    const count = Math.round(days * 24 * HOUR / step);
+    const points = [];
+    for (let index = count; index >= 0; index--) {
+        points.push([now - index * step, price * (1 + 0.02 * Math.sin(index / 12))]);
+    }
+    return points;
+}
+
+const ROUTES = {
+    'api.coingecko.com/api/v3/simple/price': (params, rates) => {
+        const bitcoin = {};
+        (params.get('vs_currencies') || '').split(',').forEach(code => {
+            if (rates[code]) bitcoin[code] = rates[code];
+        });
+        return json({ bitcoin });
+    },
+    'api.coingecko.com/api/v3/coins/bitcoin/market_chart': (params, rates, now) => {
+        const price = rates[params.get('vs_currency')];
+        if (!price) return json({ error: 'invalid vs_currency' }, 400);
+        return json({ prices: buildHistory(price, Number(params.get('days')) || 1, now) });
+    },
+    'api.coingecko.com/api/v3/simple/supported_vs_currencies': (params, rates) => json(Object.keys(rates)),
+    'api.kraken.com/0/public/Ticker': (params, rates) => {
+        const result = {};
+        (params.get('pair') || '').split(',').forEach(pair => {
+            const price = rates[pair.slice(-3).toLowerCase()];
+            if (price) result[pair] = { c: [String(price), '0.01'], v: ['0', '0'] };
+        });
+        return json({ error: [], result });
+    },
+    'api.coindesk.com/v1/bpi/currentprice.json': (params, rates) => json({ bpi: { USD: { rate_float: rates.usd } } }),
+    'open.er-api.com/v6/latest/USD': (params, rates) => {
+        const crossRates = {};
+        Object.entries(rates).forEach(([code, price]) => {
+            crossRates[code.toUpperCase()] = price / rates.usd;
+        });
+        return json({ result: 'success', rates: crossRates });
+    }
+};
+
+export function createFixtureUpstream(rates, { now = Date.now } = {}) {
+    return async url => {
+        const { host, pathname, searchParams } = new URL(url);
+        const route = ROUTES[host + pathname];
+        return route ? route(searchParams, rates, now()) : json({ error: 'Not found' }, 404);
+    };
+}
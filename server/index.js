@@ -0,0 +1,24 @@
+// Starts the server (npm start). Settings come from the environment:
+//   PORT             port to listen on, default 8000
+//   RATES_CACHE_TTL  seconds an upstream answer is reused, default 60
+//   RATES_UPSTREAM   'fixture' answers from mock-rates.json instead of the real
+//                    APIs, for working offline (same as the --fixture flag)
+
+import { readFileSync } from 'node:fs';
+
+import { createRatesServer, SERVER_CONFIG } from './app.js';
+import { fetchUpstream } from './upstream.js';
+import { createFixtureUpstream } from './fixture.js';
+
+const useFixture = process.argv.includes('--fixture') || process.env.RATES_UPSTREAM === 'fixture';
+const port = Number(process.env.PORT) || 8000;
+const cacheTtl = process.env.RATES_CACHE_TTL ? Number(process.env.RATES_CACHE_TTL) * 1000 : SERVER_CONFIG.cacheTtl;
+
+const upstream = useFixture
+    ? createFixtureUpstream(JSON.parse(readFileSync(new URL('../mock-rates.json', import.meta.url), 'utf8')).rates)
+    : fetchUpstream;
+const upstreamName = useFixture ? 'fixture' : 'live';
+
+createRatesServer({ upstream, upstreamName, cacheTtl }).listen(port, () => {
+    console.log(`Serving http://localhost:${port}/ with ${upstreamName} rates, cached for ${cacheTtl / 1000} s`);
+});
@@ -0,0 +1,76 @@
+// Where the server gets upstream API answers from, and the cache in front of them.
+//
+// An upstream is an async function (url) => { status, contentType, body } taking the
+// full https:// URL of an upstream API call. fetchUpstream() asks the real API;
+// createFixtureUpstream() (fixture.js) answers from local data, for offline use and
+// the tests.
+
+export const UPSTREAM_CONFIG = {
+    timeout: 10000,
+    // Most answers the proxy cache keeps; the oldest go first
+    maxCacheEntries: 500
+};
+
+export async function fetchUpstream(url) {
+    const response = await fetch(url, {
+        headers: { accept: 'application/json' },
+        signal: AbortSignal.timeout(UPSTREAM_CONFIG.timeout)
+    });
+    return {
+        status: response.status,
+        contentType: response.headers.get('content-type') || 'application/json',
+        body: await response.text()
+    };
+}
+
+// Keeps successful answers for `ttl` milliseconds. Requests for a URL that is
+// already being fetched wait for that answer rather than asking again, so a burst
+// of page loads costs one upstream call. Queries vary per request, so expired
+// answers are dropped and at most `maxEntries` are kept.
+export function createProxyCache(upstream, { ttl, maxEntries = UPSTREAM_CONFIG.maxCacheEntries, now = Date.now } = {}) {
+    const entries = new Map();
+
+    // Make room for one more entry
+    function evict() {
+        const time = now();
+        entries.forEach((entry, url) => {
+            if (!entry.pending && entry.expires <= time) entries.delete(url);
+        });
+        while (entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return {
+        ttl,
+        get size() {
+            return entries.size;
+        },
+        // The answer for `url` with `cached`: whether it came from the cache
+        async get(url) {
+            const entry = entries.get(url);
+            if (entry && (entry.pending || entry.expires > now())) {
+                return { ...(await entry.response), cached: true };
+            }
+
+            evict();
+            const response = upstream(url);
+            entries.set(url, { pending: true, response });
+            try {
+                const answer = await response;
+                if (answer.status === 200) {
+                    entries.set(url, { response, expires: now() + ttl });
+                } else {
+                    entries.delete(url);
+                }
+                return { ...answer, cached: false };
+            } catch (error) {
+                entries.delete(url);
+                throw error;
+            }
+        },
+        clear() {
+            entries.clear();
+        }
+    };
+}
@@ -0,0 +1,327 @@
+// Streaming prices: an optional WebSocket subscription to Kraken's ticker that moves
+// the cards on screen as trades happen. Ticks are collected and rendered at most once
+// per `renderInterval`, changing the figures of the existing cards in place. While the
+// socket is down the rates are polled over REST and the socket is reconnected with
+// backoff. Open the page with ?stream=mock to stream from an in-page stand-in instead,
+// or ?stream=ws://localhost:8080 for a local ticker server speaking the same protocol.
+
+const STREAMING_CONFIG = {
+    storageKey: 'rateStreaming',
+    // Kraken WebSocket API v2; 'mock' uses MockTickerSocket below
+    url: 'wss://ws.kraken.com/v2',
+    renderInterval: 1000,
+    reconnectDelay: 1000,
+    maxReconnectDelay: 30000,
+    // REST polling interval while the socket is down
+    fallbackPollInterval: 15000,
+    // A socket that has said nothing for this long is treated as dropped (Kraken sends heartbeats every second)
+    staleAfter: 30000,
+    // Streamed rates are stored in the rate history at most this often
+    snapshotInterval: 60000,
+    mockTickInterval: 500
+};
+
+let streaming = {
+    enabled: false,
+    // 'off', 'connecting', 'live' or 'reconnecting'
+    status: 'off',
+    socket: null,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    fallbackTimer: null,
+    staleTimer: null,
+    renderTimer: null,
+    // { [code]: latest price } received since the last render
+    pendingTicks: {},
+    lastSnapshotAt: 0
+};
+
+// Lets snapshots, exports and the "Source:" label refer to streamed rates
+registerRateProvider({
+    id: 'stream',
+    label: 'Streaming ticker',
+    async fetchRates() {
+        throw new Error('Streamed rates arrive over the WebSocket, not on request');
+    }
+});
+
+function loadStreamingSetting() {
+    return localStorage.getItem(STREAMING_CONFIG.storageKey) === 'on';
+}
+
+function isStreamingLive() {
+    return streaming.status === 'live';
+}
+
+// The currencies the ticker can quote among those shown
+function getStreamedCurrencies() {
+    return Object.keys(currencies).filter(code => KRAKEN_FIAT_CODES.includes(code));
+}
+
+function createTickerSocket(url) {
+    return url === 'mock' ? new MockTickerSocket() : new WebSocket(url);
+}
+
+function startStreaming() {
+    streaming.enabled = true;
+    connectTickerSocket();
+}
+
+function stopStreaming() {
+    streaming.enabled = false;
+    clearTimeout(streaming.reconnectTimer);
+    stopFallbackPolling();
+    closeTickerSocket();
+    setStreamingStatus('off');
+    // Back to the regular auto-refresh schedule
+    scheduleNextRefresh();
+}
+
+function closeTickerSocket() {
+    clearTimeout(streaming.staleTimer);
+    if (streaming.socket) {
+        const socket = streaming.socket;
+        streaming.socket = null;
+        socket.close();
+    }
+}
+
+function connectTickerSocket() {
+    closeTickerSocket();
+    setStreamingStatus(streaming.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+    let socket;
+    try {
+        socket = createTickerSocket(STREAMING_CONFIG.url);
+    } catch (error) {
+        console.warn('Could not open the ticker socket:', error);
+        handleTickerSocketClosed();
+        return;
+    }
+    streaming.socket = socket;
+
+    socket.addEventListener('open', () => {
+        if (streaming.socket !== socket) return;
+        socket.send(JSON.stringify({
+            method: 'subscribe',
+            params: { channel: 'ticker', symbol: getStreamedCurrencies().map(code => `BTC/${code.toUpperCase()}`) }
+        }));
+        streaming.reconnectAttempts = 0;
+        stopFallbackPolling();
+        setStreamingStatus('live');
+        watchForStaleSocket();
+        // The socket replaces polling while it is up
+        scheduleNextRefresh();
+    });
+
+    socket.addEventListener('message', event => {
+        if (streaming.socket !== socket) return;
+        watchForStaleSocket();
+        handleTickerMessage(event.data);
+    });
+
+    // 'error' is always followed by 'close'
+    socket.addEventListener('close', () => {
+        if (streaming.socket !== socket) return;
+        streaming.socket = null;
+        handleTickerSocketClosed();
+    });
+}
+
+// Poll over REST and try the socket again after a growing delay
+function handleTickerSocketClosed() {
+    clearTimeout(streaming.staleTimer);
+    if (!streaming.enabled) return;
+
+    setStreamingStatus('reconnecting');
+    startFallbackPolling();
+
+    const delay = Math.min(
+        STREAMING_CONFIG.reconnectDelay * Math.pow(2, streaming.reconnectAttempts),
+        STREAMING_CONFIG.maxReconnectDelay
+    );
+    streaming.reconnectAttempts++;
+    clearTimeout(streaming.reconnectTimer);
+    streaming.reconnectTimer = setTimeout(connectTickerSocket, delay);
+}
+
+function watchForStaleSocket() {
+    clearTimeout(streaming.staleTimer);
+    streaming.staleTimer = setTimeout(() => {
+        console.warn('Ticker socket went quiet; reconnecting');
+        closeTickerSocket();
+        handleTickerSocketClosed();
+    }, STREAMING_CONFIG.staleAfter);
+}
+
+// Updates the cards in place, so the grid doesn't blink on every poll
+function startFallbackPolling() {
+    if (streaming.fallbackTimer) return;
+    const poll = () => fetchRates({ inPlace: true });
+    poll();
+    streaming.fallbackTimer = setInterval(poll, STREAMING_CONFIG.fallbackPollInterval);
+}
+
+function stopFallbackPolling() {
+    clearInterval(streaming.fallbackTimer);
+    streaming.fallbackTimer = null;
+}
+
+// Kraken v2 ticker messages: { channel: 'ticker', type: 'snapshot' | 'update',
+// data: [{ symbol: 'BTC/USD', last: 61234.5, ... }] }. Heartbeats and status
+// messages are ignored. Returns { [code]: price }.
+function parseTickerMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return {};
+    }
+
+    const ticks = {};
+    if (message.channel !== 'ticker' || !Array.isArray(message.data)) return ticks;
+
+    message.data.forEach(ticker => {
+        const [base, quote] = String(ticker.symbol).split('/');
+        const price = Number(ticker.last);
+        if (base === 'BTC' && quote && price > 0) {
+            ticks[quote.toLowerCase()] = price;
+        }
+    });
+    return ticks;
+}
+
+function handleTickerMessage(text) {
+    const ticks = parseTickerMessage(text);
+    if (Object.keys(ticks).length === 0) return;
+
+    Object.assign(streaming.pendingTicks, ticks);
+    if (!streaming.renderTimer) {
+        streaming.renderTimer = setTimeout(renderPendingTicks, STREAMING_CONFIG.renderInterval);
+    }
+}
+
+// Apply the ticks collected since the last render. Currencies the ticker doesn't
+// quote move with BTC/USD, so the whole grid stays in step.
+function renderPendingTicks() {
+    streaming.renderTimer = null;
+    const ticks = streaming.pendingTicks;
+    streaming.pendingTicks = {};
+
+    const { rates, status, derived } = mergeTickerPrices(currentRates, currentRateStatus, ticks);
+
+    const previous = currentRates;
+    currentRates = rates;
+    currentRateStatus = status;
+    currentRateSource = 'stream';
+    currentRateTimestamp = Date.now();
+
+    updateRateCards(previous);
+
+    updateLastUpdateTime('stream');
+    updateConverter();
+    updatePriceList();
+    // Rates scaled from BTC/USD are estimates; only traded ones may raise an alert
+    const alertStatus = { ...status };
+    derived.forEach(code => {
+        alertStatus[code] = 'approx';
+    });
+    checkPriceAlerts(rates, alertStatus);
+
+    if (currentRateTimestamp - streaming.lastSnapshotAt >= STREAMING_CONFIG.snapshotInterval) {
+        streaming.lastSnapshotAt = currentRateTimestamp;
+        saveRateSnapshot({ timestamp: currentRateTimestamp, source: 'stream', rates, status })
+            .catch(error => console.warn('Could not store rate snapshot:', error));
+    }
+}
+
+function setStreamingStatus(status) {
+    streaming.status = status;
+    const element = document.getElementById('streamingStatus');
+    element.textContent = status === 'off' ? '' : translate(`streaming.${status}`);
+    element.dataset.status = status;
+    updateRefreshCountdown();
+}
+
+function initStreaming() {
+    const toggle = document.getElementById('streamingToggle');
+    // ?stream=mock or ?stream=ws://... streams from a local stand-in for this visit
+    const requested = new URLSearchParams(window.location.search).get('stream');
+    if (requested) {
+        STREAMING_CONFIG.url = requested;
+    }
+
+    toggle.checked = Boolean(requested) || loadStreamingSetting();
+    toggle.addEventListener('change', () => {
+        localStorage.setItem(STREAMING_CONFIG.storageKey, toggle.checked ? 'on' : 'off');
+        if (toggle.checked) {
+            startStreaming();
+        } else {
+            stopStreaming();
+        }
+    });
+
+    if (toggle.checked) {
+        startStreaming();
+    }
+}
+
+// In-page stand-in for the ticker WebSocket, for development and tests. Speaks
+// Kraken's v2 ticker protocol: after a subscribe, each symbol starts from the first
+// real (not sample) rate on the page and then random-walks. simulateDrop() closes
+// it as a network failure would.
+class MockTickerSocket extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = 0;
+        this.symbols = [];
+        this.prices = {};
+        this.timer = null;
+        setTimeout(() => {
+            if (this.readyState !== 0) return;
+            this.readyState = 1;
+            this.dispatchEvent(new Event('open'));
+        }, 0);
+    }
+
+    send(text) {
+        const { method, params } = JSON.parse(text);
+        if (method !== 'subscribe' || params.channel !== 'ticker') return;
+
+        this.symbols = params.symbol;
+        clearInterval(this.timer);
+        this.timer = setInterval(() => this.tick(), STREAMING_CONFIG.mockTickInterval);
+    }
+
+    tick() {
+        const started = this.symbols.filter(symbol => {
+            const code = symbol.split('/')[1].toLowerCase();
+            if (this.prices[symbol] || currentRateSource === 'sample' || !currentRates[code]) return false;
+            this.prices[symbol] = currentRates[code];
+            return true;
+        });
+        if (started.length > 0) this.emit('snapshot', started);
+
+        const moved = Object.keys(this.prices).filter(symbol => !started.includes(symbol) && Math.random() < 0.5);
+        moved.forEach(symbol => {
+            this.prices[symbol] *= 1 + (Math.random() - 0.5) / 1000;
+        });
+        if (moved.length > 0) this.emit('update', moved);
+    }
+
+    emit(type, symbols) {
+        const data = symbols.map(symbol => ({ symbol, last: Number(this.prices[symbol].toFixed(2)) }));
+        this.dispatchEvent(new MessageEvent('message', { data: JSON.stringify({ channel: 'ticker', type, data }) }));
+    }
+
+    close() {
+        if (this.readyState > 1) return;
+        clearInterval(this.timer);
+        this.readyState = 3;
+        this.dispatchEvent(new Event('close'));
+    }
+
+    simulateDrop() {
+        this.close();
+    }
+}
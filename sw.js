@@ -0,0 +1,118 @@
+// Service worker: keeps the app shell available offline and asks open pages to
+// refresh their rates when the connection returns. Rates themselves are not cached
+// here; the page stores every successful fetch in IndexedDB (rate-history.js) and
+// shows the latest one, with an "offline" banner, when providers can't be reached.
+
+// Bump the version when the shell list changes so old caches are dropped
+const SHELL_CACHE = 'bits-rates-shell-v10';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'theme.js',
+    'main.js',
+    'core/index.js',
+    'core/iso4217.js',
+    'core/units.js',
+    'core/format.js',
+    'core/providers.js',
+    'core/aggregation.js',
+    'core/alerts.js',
+    'core/payment.js',
+    'core/qrcode.js',
+    'core/i18n.js',
+    'core/locales/en.js',
+    'core/locales/pt-BR.js',
+    'core/locales/ja.js',
+    'core/locales/ko.js',
+    'i18n.js',
+    'denominations.js',
+    'matrix.js',
+    'format.js',
+    'forex.js',
+    'aggregation.js',
+    'rate-history.js',
+    'auto-refresh.js',
+    'trends.js',
+    'currency-settings.js',
+    'converter.js',
+    'alerts.js',
+    'charts.js',
+    'url-state.js',
+    'export.js',
+    'price-list.js',
+    'payment-request.js',
+    'offline.js',
+    'streaming.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+// The paths the fetch handler answers; rate data, such as mock-rates.json, a
+// self-hosted endpoint or the Node server's API, is never among them
+const SHELL_PATHS = new Set(APP_SHELL.map(path => new URL(path, self.location).pathname));
+
+// Sent by offline.js when a fetch fails; fires once the browser is back online
+const REFRESH_SYNC_TAG = 'refresh-rates';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// App shell files come from the cache straight away and are refreshed in the
+// background, so a new version is picked up on the next visit. Everything else,
+// including every source of rates, goes to the network as usual.
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || !SHELL_PATHS.has(url.pathname)) return;
+
+    event.respondWith(caches.open(SHELL_CACHE).then(async cache => {
+        // Navigations carry the page state in the hash or query; they all get index.html
+        const cached = request.mode === 'navigate'
+            ? await cache.match('index.html')
+            : await cache.match(request, { ignoreSearch: true });
+
+        const update = fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    cache.put(request.mode === 'navigate' ? 'index.html' : request, response.clone());
+                }
+                return response;
+            })
+            .catch(error => {
+                if (cached) return cached;
+                throw error;
+            });
+
+        if (cached) {
+            event.waitUntil(update.catch(() => {}));
+            return cached;
+        }
+        return update;
+    }));
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag !== REFRESH_SYNC_TAG) return;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(clients => {
+            clients.forEach(client => client.postMessage({ type: 'refresh-rates' }));
+        })
+    );
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { median, volumeWeightedAverage, aggregateQuotes } from '../core/index.js';
+
+const settings = { mode: 'median', outlierPercent: 2 };
+
+test('median and volume-weighted average', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(volumeWeightedAverage([{ price: 100, volume: 3 }, { price: 200, volume: 1 }]), 125);
+    // Sources without volume count with the average weight of the others
+    assert.equal(volumeWeightedAverage([{ price: 100, volume: 2 }, { price: 200 }]), 150);
+});
+
+test('quotes far from the median are set aside once enough sources quote', () => {
+    const quotes = [
+        { provider: 'coingecko', price: 60000, status: 'live' },
+        { provider: 'kraken', price: 60100, status: 'live' },
+        { provider: 'coindesk', price: 66000, status: 'live' }
+    ];
+    const result = aggregateQuotes(quotes, settings);
+    assert.equal(result.price, 60050);
+    assert.deepEqual(result.quotes.map(quote => quote.outlier), [false, false, true]);
+    assert.equal(aggregateQuotes(quotes.slice(1), settings).quotes.some(quote => quote.outlier), false);
+});
+
+test('an aggregated rate has the worst status of the quotes it uses', () => {
+    const quotes = [
+        { provider: 'coingecko', price: 60000, status: 'live' },
+        { provider: 'kraken', price: 60010, status: 'live' },
+        { provider: 'coindesk', price: 60020, status: 'cached' }
+    ];
+    assert.equal(aggregateQuotes(quotes, settings).status, 'cached');
+    assert.equal(aggregateQuotes(quotes.concat({ provider: 'sample', price: 59990, status: 'approx' }), settings).status, 'approx');
+    assert.equal(aggregateQuotes(quotes.slice(0, 2), settings).status, 'live');
+
+    // An outlier doesn't count
+    const withOutlier = quotes.slice(0, 2).concat({ provider: 'coindesk', price: 70000, status: 'approx' });
+    assert.equal(aggregateQuotes(withOutlier, settings).status, 'live');
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getAlertValue, checkAlertRule, mergeTickerPrices } from '../core/index.js';
+
+const bitsRule = { pageId: 'fiat-per-bits', currency: 'eur', amount: 1, condition: 'above', threshold: 0.05, repeat: 'rearm', armed: true };
+
+test('alert values are in the terms of the rule\'s page', () => {
+    assert.equal(getAlertValue(bitsRule, 60000), 0.06);
+    assert.equal(getAlertValue({ pageId: 'satoshi-per-fiat', amount: 10 }, 50000), 20000);
+});
+
+test('a rule fires when its condition is met and re-arms when it no longer is', () => {
+    assert.equal(checkAlertRule(bitsRule, { eur: 60000 }, { eur: 'live' }), 'fire');
+    assert.equal(checkAlertRule(bitsRule, { eur: 40000 }, { eur: 'live' }), null);
+    assert.equal(checkAlertRule({ ...bitsRule, armed: false }, { eur: 40000 }, { eur: 'live' }), 'rearm');
+    assert.equal(checkAlertRule({ ...bitsRule, armed: false, repeat: 'once' }, { eur: 40000 }, { eur: 'live' }), null);
+    assert.equal(checkAlertRule(bitsRule, { usd: 60000 }, { usd: 'live' }), null);
+});
+
+test('approximate rates neither fire nor re-arm a rule', () => {
+    assert.equal(checkAlertRule(bitsRule, { eur: 60000 }, { eur: 'approx' }), null);
+    assert.equal(checkAlertRule({ ...bitsRule, armed: false }, { eur: 40000 }, { eur: 'approx' }), null);
+    assert.equal(checkAlertRule(bitsRule, { eur: 60000 }, { eur: 'cached' }), 'fire');
+});
+
+test('currencies scaled from a streamed BTC/USD tick do not raise alerts', () => {
+    const krwRule = { ...bitsRule, currency: 'krw', threshold: 85 };
+    const { rates, status, derived } = mergeTickerPrices(
+        { usd: 60000, eur: 55000, krw: 80000000 },
+        { usd: 'live', eur: 'approx', krw: 'live' },
+        { usd: 66000 }
+    );
+
+    assert.deepEqual(derived, ['krw']);
+    assert.equal(rates.krw, 88000000);
+    assert.equal(status.usd, 'live');
+    assert.equal(checkAlertRule(krwRule, rates, status), 'fire');
+
+    // As streaming.js checks them: derived currencies count as approximate, and so
+    // does a quoted currency the tick didn't include that was approximate already
+    const alertStatus = { ...status, krw: 'approx' };
+    assert.equal(checkAlertRule(krwRule, rates, alertStatus), null);
+    assert.equal(checkAlertRule({ ...bitsRule, threshold: 0.01 }, rates, alertStatus), null);
+    assert.equal(checkAlertRule({ ...bitsRule, currency: 'usd' }, rates, alertStatus), 'fire');
+});
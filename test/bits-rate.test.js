@@ -0,0 +1,94 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RATE_PROVIDER_CONFIG } from '../core/index.js';
+
+// Just enough of the DOM for <bits-rate> to render into: the card's markup is kept as a string
+class FakeElement {
+    constructor() {
+        this.attributes = {};
+        this.isConnected = false;
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+        if (this.isConnected) this.attributeChangedCallback(name);
+    }
+
+    closest(selector) {
+        return selector === '[lang]' && this.getAttribute('lang') ? { lang: this.getAttribute('lang') } : null;
+    }
+
+    attachShadow() {
+        const card = { dataset: {}, innerHTML: '', setAttribute() {} };
+        this.shadowRoot = { innerHTML: '', querySelector: () => card };
+        return this.shadowRoot;
+    }
+}
+
+const realFetch = globalThis.fetch;
+let BitsRateElement;
+let refreshRateFeed;
+
+before(async () => {
+    Object.assign(globalThis, {
+        HTMLElement: FakeElement,
+        customElements: { get() {}, define() {} },
+        window: {},
+        document: { hidden: false }
+    });
+    Object.defineProperty(globalThis, 'navigator', { value: { languages: ['en-US'] }, configurable: true });
+    ({ BitsRateElement, refreshRateFeed } = await import('../bits-rate.js'));
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+});
+
+function createCard(attributes) {
+    const element = new BitsRateElement();
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    element.isConnected = true;
+    return element;
+}
+
+function cardText(element) {
+    return element.shadowRoot.querySelector('.card').innerHTML.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+test('the card speaks the language of the page around it', async () => {
+    RATE_PROVIDER_CONFIG.order = ['coingecko'];
+    mock.method(console, 'warn', () => {});
+    let answer = () => Response.json({ bitcoin: { eur: 55000 } });
+    globalThis.fetch = async () => answer();
+
+    const card = createCard({ currency: 'eur', lang: 'ja' });
+    card.render();
+    assert.match(cardText(card), /読み込み中…/);
+
+    card.connectedCallback();
+    try {
+        await refreshRateFeed();
+        assert.match(cardText(card), /ユーロ ライブ/);
+        assert.match(cardText(card), /€0\.05500/);
+
+        card.setAttribute('lang', 'pt-BR');
+        assert.match(cardText(card), /Euro ao vivo/);
+
+        card.setAttribute('currency', 'gbp');
+        answer = () => new Response('', { status: 503 });
+        await refreshRateFeed();
+        assert.match(cardText(card), /Cotação indisponível/);
+
+        card.setAttribute('currency', 'constructor');
+        card.setAttribute('lang', 'ko');
+        assert.equal(cardText(card), '알 수 없는 통화');
+    } finally {
+        card.disconnectedCallback();
+        mock.restoreAll();
+    }
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { numberFormatSettings, formatFiat, formatUnitAmount, formatPercent, formatNumber, fractionDigitsFor, parseAmountInput } from '../core/index.js';
+
+beforeEach(() => {
+    Object.assign(numberFormatSettings, { locale: 'en-US', notation: 'compact', scientific: 'auto' });
+});
+
+test('formatFiat follows the currency\'s minor units', () => {
+    assert.equal(formatFiat(43000, 'usd'), '$43,000.00');
+    assert.equal(formatFiat(6400000, 'jpy'), '¥6,400,000');
+    assert.match(formatFiat(1, 'kwd'), /1\.000$/);
+});
+
+test('formatFiat can drop the decimals of whole amounts', () => {
+    assert.equal(formatFiat(20, 'usd', { dropWholeDecimals: true }), '$20');
+    assert.equal(formatFiat(20.5, 'usd', { dropWholeDecimals: true }), '$20.50');
+});
+
+test('formatFiat keeps 4 significant digits of tiny satoshi prices', () => {
+    // 1 sat at $60,000 per BTC
+    assert.equal(formatFiat(60000 / 100000000, 'usd'), '$0.0006000');
+    assert.equal(formatFiat(0.00012345, 'eur'), '€0.0001235');
+});
+
+test('formatFiat switches to scientific notation below the threshold unless disabled', () => {
+    assert.equal(formatFiat(0.00000043, 'usd'), '$4.30E-7');
+
+    numberFormatSettings.scientific = 'never';
+    assert.equal(formatFiat(0.00000043, 'usd'), '$0.0000004300');
+});
+
+test('formatFiat handles KRW magnitudes', () => {
+    assert.equal(formatFiat(80000000, 'krw'), '₩80,000,000');
+    // 1 sat at ₩80,000,000 per BTC has no whole won in it
+    assert.equal(formatFiat(0.8, 'krw'), '₩0.8000');
+    assert.equal(formatFiat(1234567890123, 'krw'), '₩1,234,567,890,123');
+});
+
+test('formatFiat follows the locale\'s symbol placement', () => {
+    numberFormatSettings.locale = 'de-DE';
+    assert.equal(formatFiat(1234.5, 'eur'), '1.234,50 €');
+    assert.equal(formatFiat(80000, 'sgd'), '80.000,00 S$');
+});
+
+test('formatUnitAmount abbreviates from the K threshold up', () => {
+    assert.equal(formatUnitAmount(999, 'sats'), '999 sats');
+    assert.equal(formatUnitAmount(1000, 'sats'), '1K sats');
+    assert.equal(formatUnitAmount(2326.6, 'sats'), '2.33K sats');
+    assert.equal(formatUnitAmount(1500000, 'sats'), '1.5M sats');
+    assert.equal(formatUnitAmount(2100000000, 'sats'), '2.1B sats');
+});
+
+test('formatUnitAmount shows every digit in full notation', () => {
+    numberFormatSettings.notation = 'full';
+    assert.equal(formatUnitAmount(2326.6, 'sats'), '2,327 sats');
+    assert.equal(formatUnitAmount(1500000, 'bits'), '1,500,000.00 BITS');
+});
+
+test('formatUnitAmount never abbreviates BTC and mBTC', () => {
+    assert.equal(formatUnitAmount(1500, 'btc'), '1,500.00000000 BTC');
+    assert.equal(formatUnitAmount(2500, 'mbtc'), '2,500.00000 mBTC');
+});
+
+test('formatUnitAmount keeps small amounts readable', () => {
+    assert.equal(formatUnitAmount(0.00002326, 'btc'), '0.00002326 BTC');
+    assert.equal(formatUnitAmount(0.5, 'sats'), '0.5 sats');
+    assert.equal(formatUnitAmount(0.0000001, 'sats'), '1E-7 sats');
+});
+
+test('formatUnitAmount falls back to full notation where the locale doesn\'t abbreviate', () => {
+    // Japanese only abbreviates from 万 (10,000)
+    numberFormatSettings.locale = 'ja-JP';
+    assert.equal(formatUnitAmount(2326, 'sats'), '2,326 sats');
+    assert.equal(formatUnitAmount(23260, 'sats'), '2.33万 sats');
+});
+
+test('formatPercent signs changes', () => {
+    assert.equal(formatPercent(2.5), '+2.50%');
+    assert.equal(formatPercent(-0.125), '-0.13%');
+    assert.equal(formatPercent(0), '0.00%');
+});
+
+test('fractionDigitsFor and formatNumber', () => {
+    assert.equal(fractionDigitsFor(12, 2), 2);
+    assert.equal(fractionDigitsFor(0.05, 2), 5);
+    assert.equal(fractionDigitsFor(0, 2), 2);
+    assert.equal(formatNumber(12345.678, 1), '12,345.7');
+});
+
+test('parseAmountInput reads separators, suffixes and unit names', () => {
+    assert.equal(parseAmountInput('12,345', '.'), 12345);
+    assert.equal(parseAmountInput('€37.50', '.'), 37.5);
+    assert.equal(parseAmountInput('1.5K', '.'), 1500);
+    assert.equal(parseAmountInput('2M sats', '.'), 2000000);
+    assert.equal(parseAmountInput('2M BTC', '.'), 2000000);
+    assert.equal(parseAmountInput('2mBTC', '.'), 2);
+    assert.equal(parseAmountInput('5 mBTC', '.'), 5);
+    assert.equal(parseAmountInput('3 µBTC', '.'), 3);
+    assert.equal(parseAmountInput('12.345,6', ','), 12345.6);
+    assert.equal(parseAmountInput('37.50', ','), 37.5);
+    assert.equal(parseAmountInput('1.5K', ','), 1500);
+    assert.equal(parseAmountInput('1.5K sats', ','), 1500);
+    assert.ok(Number.isNaN(parseAmountInput('abc', '.')));
+    assert.ok(Number.isNaN(parseAmountInput('', '.')));
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MESSAGE_CATALOGUES, i18nSettings, numberFormatSettings, resolveLanguage, getTextDirection, hasMessage, translate, getCurrencyDisplayName, getLanguageDisplayName } from '../core/index.js';
+
+beforeEach(() => {
+    i18nSettings.language = 'en';
+    Object.assign(numberFormatSettings, { locale: 'en-US', notation: 'compact', scientific: 'auto' });
+});
+
+function placeholdersOf(message) {
+    const texts = typeof message === 'object' ? Object.values(message) : [message];
+    return [...new Set(texts.flatMap(text => text.match(/\{\w+\}/g) || []))].sort();
+}
+
+test('every catalogue has exactly the English keys and placeholders', () => {
+    const english = MESSAGE_CATALOGUES.en;
+
+    for (const [language, messages] of Object.entries(MESSAGE_CATALOGUES)) {
+        assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), language);
+
+        for (const key of Object.keys(english)) {
+            assert.deepEqual(placeholdersOf(messages[key]), placeholdersOf(english[key]), `${language} ${key}`);
+            if (typeof english[key] === 'object') {
+                assert.equal(typeof messages[key].other, 'string', `${language} ${key} needs an "other" form`);
+            }
+        }
+    }
+});
+
+test('resolveLanguage picks an exact match, then the same base language, then English', () => {
+    assert.equal(resolveLanguage(['ja-JP', 'en']), 'ja');
+    assert.equal(resolveLanguage(['pt-br']), 'pt-BR');
+    assert.equal(resolveLanguage(['pt-PT']), 'pt-BR');
+    assert.equal(resolveLanguage(['en-GB', 'ko']), 'en');
+    assert.equal(resolveLanguage(['ko-KR']), 'ko');
+    assert.equal(resolveLanguage(['xx', 'ko']), 'ko');
+    assert.equal(resolveLanguage(['de-DE']), 'en');
+    assert.equal(resolveLanguage([]), 'en');
+});
+
+test('getTextDirection marks right-to-left languages', () => {
+    assert.equal(getTextDirection('ar'), 'rtl');
+    assert.equal(getTextDirection('he-IL'), 'rtl');
+    assert.equal(getTextDirection('ja'), 'ltr');
+    assert.equal(getTextDirection(), 'ltr');
+});
+
+test('translate fills in placeholders in the current language', () => {
+    assert.equal(translate('currencySettings.show', { code: 'EUR' }), 'Show EUR');
+
+    i18nSettings.language = 'pt-BR';
+    assert.equal(translate('currencySettings.show', { code: 'EUR' }), 'Mostrar EUR');
+
+    // Missing parameters leave the placeholder in place
+    assert.equal(translate('currencySettings.show'), 'Mostrar {code}');
+
+    // A language of its own, e.g. for an embedded card
+    assert.equal(translate('currencySettings.show', { code: 'EUR' }, 'ja'), 'EUR を表示');
+});
+
+test('translate picks the plural form for the count', () => {
+    assert.equal(translate('age.days', { count: 1 }), '1 day ago');
+    assert.equal(translate('age.days', { count: 3 }), '3 days ago');
+
+    i18nSettings.language = 'ja';
+    assert.equal(translate('age.days', { count: 1 }), '1 日前');
+});
+
+test('translate formats number parameters for the locale', () => {
+    numberFormatSettings.locale = 'pt-BR';
+    i18nSettings.language = 'pt-BR';
+    assert.equal(translate('priceList.roundingSats', { count: 1000 }), '1.000 sats');
+    assert.equal(translate('priceList.roundingSats', { count: 1 }), '1 sat');
+});
+
+test('translate falls back to English, then to the key', () => {
+    const japanese = MESSAGE_CATALOGUES.ja;
+    const saved = japanese['chart.close'];
+    delete japanese['chart.close'];
+    try {
+        i18nSettings.language = 'ja';
+        assert.equal(translate('chart.close'), 'Close chart');
+    } finally {
+        japanese['chart.close'] = saved;
+    }
+
+    assert.equal(translate('no.such.key'), 'no.such.key');
+    assert.equal(hasMessage('no.such.key'), false);
+    assert.equal(hasMessage('source.mock'), true);
+});
+
+test('getCurrencyDisplayName localizes currency names', () => {
+    assert.equal(getCurrencyDisplayName('jpy', 'en'), 'Japanese Yen');
+    assert.equal(getCurrencyDisplayName('jpy', 'ja'), '日本円');
+
+    i18nSettings.language = 'pt-BR';
+    assert.match(getCurrencyDisplayName('eur'), /^Euro$/i);
+});
+
+test('getCurrencyDisplayName falls back for currencies without a name', () => {
+    assert.equal(getCurrencyDisplayName('xyz', 'ja'), 'XYZ');
+});
+
+test('getLanguageDisplayName names a language in itself', () => {
+    assert.equal(getLanguageDisplayName('ja'), '日本語');
+    assert.equal(getLanguageDisplayName('ko'), '한국어');
+    assert.match(getLanguageDisplayName('pt-BR'), /^Português/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isBitcoinAddress, formatBip21Amount, buildBip21Uri, createPaymentQuote, getQuoteSecondsLeft, formatCountdown } from '../core/index.js';
+
+test('addresses are recognised by their shape', () => {
+    assert.ok(isBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'));
+    assert.ok(isBitcoinAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'));
+    assert.ok(isBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'));
+    assert.ok(isBitcoinAddress('BC1QAR0SRRR7XFKVY5L643LYDNW9RE59GTZZWF5MDQ'));
+    assert.ok(isBitcoinAddress(' tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx '));
+
+    assert.ok(!isBitcoinAddress(''));
+    assert.ok(!isBitcoinAddress('bc1qAR0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq'));
+    assert.ok(!isBitcoinAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdb'.replace('b', 'o')));
+    assert.ok(!isBitcoinAddress('0BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'));
+    assert.ok(!isBitcoinAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2?amount=1'));
+});
+
+test('BIP21 amounts are decimal BTC without trailing zeros', () => {
+    assert.equal(formatBip21Amount(12345), '0.00012345');
+    assert.equal(formatBip21Amount(100000000), '1');
+    assert.equal(formatBip21Amount(150000000), '1.5');
+    assert.equal(formatBip21Amount(1), '0.00000001');
+    assert.equal(formatBip21Amount(2100000000000000), '21000000');
+});
+
+test('BIP21 URIs carry the address, amount and label', () => {
+    assert.equal(
+        buildBip21Uri({ address: 'bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq', sats: 12345, label: 'Corner Café #12' }),
+        'bitcoin:bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq?amount=0.00012345&label=Corner%20Caf%C3%A9%20%2312'
+    );
+    assert.equal(
+        buildBip21Uri({ address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', sats: 0, message: 'Tip & thanks' }),
+        'bitcoin:1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2?message=Tip%20%26%20thanks'
+    );
+    assert.equal(buildBip21Uri({ address: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2' }), 'bitcoin:1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2');
+});
+
+test('quotes are whole sats at the given rate, with an expiry', () => {
+    const quote = createPaymentQuote({ fiatAmount: 7.5, currencyCode: 'usd', bitcoinPrice: 60000, expirySeconds: 900, now: 1000 });
+
+    assert.equal(quote.sats, 12500);
+    assert.equal(quote.createdAt, 1000);
+    assert.equal(quote.expiresAt, 901000);
+
+    // 1 won at ₩80,000,000 is 1.25 sats
+    assert.equal(createPaymentQuote({ fiatAmount: 1, currencyCode: 'krw', bitcoinPrice: 80000000, expirySeconds: 60 }).sats, 1);
+    assert.equal(createPaymentQuote({ fiatAmount: 0.0001, currencyCode: 'usd', bitcoinPrice: 60000, expirySeconds: 60 }).sats, 1);
+});
+
+test('quotes need an amount and a rate', () => {
+    assert.throws(() => createPaymentQuote({ fiatAmount: 0, currencyCode: 'usd', bitcoinPrice: 60000, expirySeconds: 60 }), { message: 'Enter an amount greater than zero.' });
+    assert.throws(() => createPaymentQuote({ fiatAmount: NaN, currencyCode: 'usd', bitcoinPrice: 60000, expirySeconds: 60 }), { message: 'Enter an amount greater than zero.' });
+    assert.throws(() => createPaymentQuote({ fiatAmount: 5, currencyCode: 'eur', bitcoinPrice: undefined, expirySeconds: 60 }), { message: 'No EUR rate to quote with.' });
+});
+
+test('the countdown runs to zero and stays there', () => {
+    const quote = { expiresAt: 60000 };
+    assert.equal(getQuoteSecondsLeft(quote, 0), 60);
+    assert.equal(getQuoteSecondsLeft(quote, 59001), 1);
+    assert.equal(getQuoteSecondsLeft(quote, 60000), 0);
+    assert.equal(getQuoteSecondsLeft(quote, 90000), 0);
+
+    assert.equal(formatCountdown(845), '14:05');
+    assert.equal(formatCountdown(59), '0:59');
+    assert.equal(formatCountdown(3600), '1:00:00');
+});
@@ -0,0 +1,221 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RATE_PROVIDER_CONFIG, fetchRatesFromProviders, fetchPriceHistoryFromProviders, fetchWithTimeout, setRateProviderOrder,
+    getProxiedUrl, detectRatesServer, pickUsdCrossRates, setUsdCrossRateSource
+} from '../core/index.js';
+
+const realFetch = globalThis.fetch;
+const defaultOrder = RATE_PROVIDER_CONFIG.order;
+
+// Answers each request with the first route whose key appears in the URL; anything else is a 503
+function mockFetch(routes) {
+    globalThis.fetch = mock.fn(async url => {
+        const key = Object.keys(routes).find(part => url.includes(part));
+        if (!key) return new Response('', { status: 503 });
+
+        const route = routes[key];
+        return typeof route === 'function' ? route(url) : Response.json(route);
+    });
+    return globalThis.fetch;
+}
+
+const KRAKEN_TICKER = {
+    error: [],
+    result: {
+        XXBTZUSD: { c: ['61000.5', '0.01'], v: ['10', '250'] },
+        XXBTZEUR: { c: ['56000', '0.02'], v: ['5', '120'] }
+    }
+};
+
+beforeEach(() => {
+    // Failing providers log why; keep the test output readable
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+    RATE_PROVIDER_CONFIG.order = defaultOrder;
+    RATE_PROVIDER_CONFIG.proxyUrl = '';
+    mock.restoreAll();
+});
+
+test('the first provider that answers supplies the rates', async () => {
+    setRateProviderOrder(['coingecko', 'kraken']);
+    const fetch = mockFetch({
+        'api.coingecko.com': { bitcoin: { usd: 60000, eur: 55000, usd_24h_change: 1.5, usd_24h_vol: 1200000 } }
+    });
+
+    const result = await fetchRatesFromProviders(['usd', 'eur']);
+
+    assert.equal(result.provider.id, 'coingecko');
+    assert.deepEqual(result.rates, { usd: 60000, eur: 55000 });
+    assert.deepEqual(result.status, { usd: 'live', eur: 'live' });
+    assert.deepEqual(result.changes, { usd: 1.5 });
+    assert.deepEqual(result.failures, []);
+    assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('an HTTP error falls back to the next provider', async () => {
+    setRateProviderOrder(['coingecko', 'kraken']);
+    mockFetch({ 'api.kraken.com': KRAKEN_TICKER });
+
+    const result = await fetchRatesFromProviders(['usd', 'eur', 'krw']);
+
+    assert.equal(result.provider.id, 'kraken');
+    assert.deepEqual(result.rates, { usd: 61000.5, eur: 56000 });
+    assert.equal(result.failures.length, 1);
+    assert.equal(result.failures[0].provider.id, 'coingecko');
+    assert.equal(result.failures[0].error.status, 503);
+});
+
+test('a response without data.bitcoin counts as a failure', async () => {
+    setRateProviderOrder(['coingecko', 'kraken']);
+    mockFetch({
+        'api.coingecko.com': { status: { error_code: 429, error_message: 'Rate limited' } },
+        'api.kraken.com': KRAKEN_TICKER
+    });
+
+    const result = await fetchRatesFromProviders(['usd']);
+
+    assert.equal(result.provider.id, 'kraken');
+    assert.equal(result.failures[0].error.message, 'Invalid data format received from CoinGecko API');
+});
+
+test('an empty answer counts as a failure', async () => {
+    setRateProviderOrder(['kraken', 'sample']);
+    mockFetch({ 'api.kraken.com': { error: [], result: {} } });
+
+    const result = await fetchRatesFromProviders(['usd']);
+
+    assert.equal(result.provider.id, 'sample');
+    assert.equal(result.failures[0].error.message, 'No rates returned');
+    assert.deepEqual(result.status, { usd: 'approx' });
+});
+
+test('Kraken API errors are reported', async () => {
+    setRateProviderOrder(['kraken', 'sample']);
+    mockFetch({ 'api.kraken.com': { error: ['EQuery:Unknown asset pair'] } });
+
+    const result = await fetchRatesFromProviders(['usd']);
+
+    assert.equal(result.failures[0].error.message, 'EQuery:Unknown asset pair');
+});
+
+test('disabled and unknown providers are skipped', async () => {
+    RATE_PROVIDER_CONFIG.order = ['selfhosted', 'no-such-provider', 'coingecko'];
+    const fetch = mockFetch({ 'api.coingecko.com': { bitcoin: { usd: 60000 } } });
+
+    const result = await fetchRatesFromProviders(['usd']);
+
+    assert.equal(result.provider.id, 'coingecko');
+    assert.deepEqual(result.failures, []);
+    assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('setRateProviderOrder drops providers that are not registered', () => {
+    setRateProviderOrder(['kraken', 'no-such-provider', 'coingecko']);
+    assert.deepEqual(RATE_PROVIDER_CONFIG.order, ['kraken', 'coingecko']);
+});
+
+test('the chain rejects with every failure when no provider answers', async () => {
+    setRateProviderOrder(['coingecko', 'kraken']);
+    mockFetch({ 'api.coingecko.com': () => new Response('', { status: 429 }) });
+
+    await assert.rejects(fetchRatesFromProviders(['usd']), error => {
+        assert.equal(error.message, 'All rate providers failed');
+        assert.deepEqual(error.failures.map(failure => failure.provider.id), ['coingecko', 'kraken']);
+        assert.equal(error.failures[0].error.status, 429);
+        assert.equal(error.failures[1].error.status, 503);
+        return true;
+    });
+});
+
+test('non-numeric and non-positive prices are dropped', async () => {
+    setRateProviderOrder(['coingecko']);
+    mockFetch({ 'api.coingecko.com': { bitcoin: { usd: 60000, eur: 0, gbp: 'n/a', jpy: -1 } } });
+
+    const result = await fetchRatesFromProviders(['usd', 'eur', 'gbp', 'jpy']);
+
+    assert.deepEqual(result.rates, { usd: 60000 });
+});
+
+test('fetchWithTimeout aborts a request that takes too long', async () => {
+    globalThis.fetch = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    });
+
+    await assert.rejects(fetchWithTimeout('https://example.test/slow', 20), { name: 'AbortError' });
+});
+
+test('price history comes from the first provider with a market chart', async () => {
+    setRateProviderOrder(['kraken', 'coingecko']);
+    mockFetch({
+        'market_chart': { prices: [[1700000000000, 36000], [0, 1], [1700086400000, 37000]] }
+    });
+
+    const { points, provider } = await fetchPriceHistoryFromProviders('usd', 7);
+
+    assert.equal(provider.id, 'coingecko');
+    assert.deepEqual(points, [[1700000000000, 36000], [1700086400000, 37000]]);
+});
+
+test('price history rejects when no provider has it', async () => {
+    setRateProviderOrder(['coingecko']);
+    mockFetch({ 'market_chart': { error: 'Not found' } });
+
+    await assert.rejects(fetchPriceHistoryFromProviders('usd', 7), { message: 'No provider could supply price history' });
+});
+
+test('the chain falls back to CoinDesk with forex cross-rates', async () => {
+    setRateProviderOrder(['coingecko', 'coindesk']);
+    mockFetch({
+        'api.coindesk.com': { bpi: { USD: { rate_float: 60000 } } },
+        'open.er-api.com': { result: 'success', rates: { USD: 1, EUR: 0.9 } }
+    });
+
+    const result = await fetchRatesFromProviders(['usd', 'eur', 'krw', 'xyz']);
+    assert.equal(result.provider.id, 'coindesk');
+    assert.deepEqual(result.failures.map(failure => failure.provider.id), ['coingecko']);
+    assert.deepEqual(result.rates, { usd: 60000, eur: 54000, krw: 60000 * 1300 });
+    assert.deepEqual(result.status, { usd: 'live', eur: 'live', krw: 'approx' });
+});
+
+test('CoinDesk takes its cross-rates from the source set with setUsdCrossRateSource()', async () => {
+    setRateProviderOrder(['coindesk']);
+    mockFetch({ 'api.coindesk.com': { bpi: { USD: { rate_float: 60000 } } } });
+    setUsdCrossRateSource(async codes => pickUsdCrossRates(codes, {}, { eur: 0.8 }));
+
+    try {
+        const { rates, status } = await fetchRatesFromProviders(['eur']);
+        assert.deepEqual(rates, { eur: 48000 });
+        assert.deepEqual(status, { eur: 'cached' });
+    } finally {
+        setUsdCrossRateSource();
+    }
+});
+
+test('upstream requests go through the proxy once a server offers one', async () => {
+    const fetch = mockFetch({
+        'api/status': { proxy: 'proxy', cacheTtl: 60, upstream: 'live' },
+        'simple/price': { bitcoin: { usd: 60000 } }
+    });
+
+    assert.equal(getProxiedUrl('https://api.kraken.com/0/public/Ticker?pair=XBTUSD'), 'https://api.kraken.com/0/public/Ticker?pair=XBTUSD');
+    assert.equal((await detectRatesServer()).upstream, 'live');
+    assert.equal(getProxiedUrl('https://api.kraken.com/0/public/Ticker?pair=XBTUSD'), 'proxy/api.kraken.com/0/public/Ticker?pair=XBTUSD');
+    assert.equal(getProxiedUrl('https://example.com/rates.json'), 'https://example.com/rates.json');
+    assert.equal(getProxiedUrl('https://api.kraken.com/0/public/Assets'), 'https://api.kraken.com/0/public/Assets');
+
+    setRateProviderOrder(['coingecko']);
+    await fetchRatesFromProviders(['usd']);
+    assert.match(fetch.mock.calls.at(-1).arguments[0], /^proxy\/api\.coingecko\.com\/api\/v3\/simple\/price\?/);
+});
+
+test('without a server status endpoint the providers call the APIs directly', async () => {
+    mockFetch({});
+
+    assert.equal(await detectRatesServer(), null);
+    assert.equal(RATE_PROVIDER_CONFIG.proxyUrl, '');
+});
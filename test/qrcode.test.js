@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeQrCode, getReedSolomonRemainder, qrCodeToSvg } from '../core/index.js';
+
+// Format information for level M and each mask, most significant bit first (ISO/IEC 18004 table C.1)
+const FORMAT_BITS_M = [
+    '101010000010010', '101000100100101', '101111001111100', '101101101001011',
+    '100010111111001', '100000011001110', '100111110010111', '100101010100000'
+];
+
+// The copy of the format bits next to the top-right and bottom-left finder patterns
+function readFormatBits(qr) {
+    const bits = [];
+    for (let i = 0; i < 8; i++) bits[i] = qr.modules[8][qr.size - 1 - i];
+    for (let i = 8; i < 15; i++) bits[i] = qr.modules[qr.size - 15 + i][8];
+    return bits.map(dark => (dark ? '1' : '0')).reverse().join('');
+}
+
+test('error correction codewords match the standard\'s worked example', () => {
+    // "HELLO WORLD" at 1-M, from the QR code specification's annex
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    assert.deepEqual(getReedSolomonRemainder(data, 10), [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+test('the smallest version that fits is used', () => {
+    assert.equal(encodeQrCode('A').version, 1);
+    assert.equal(encodeQrCode('A').size, 21);
+    // Version 1-M holds 14 bytes
+    assert.equal(encodeQrCode('x'.repeat(14)).version, 1);
+    assert.equal(encodeQrCode('x'.repeat(15)).version, 2);
+    assert.equal(encodeQrCode('x'.repeat(15), { errorCorrection: 'L' }).version, 1);
+    // Multi-byte characters count as their UTF-8 bytes
+    assert.equal(encodeQrCode('é'.repeat(7)).version, 1);
+    assert.equal(encodeQrCode('é'.repeat(8)).version, 2);
+});
+
+test('finder patterns sit in three corners', () => {
+    const { modules, size } = encodeQrCode('bitcoin:bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq?amount=0.001');
+    [[0, 0], [size - 7, 0], [0, size - 7]].forEach(([left, top]) => {
+        for (let i = 0; i < 7; i++) {
+            assert.equal(modules[top][left + i], true);
+            assert.equal(modules[top + 6][left + i], true);
+            assert.equal(modules[top + i][left], true);
+        }
+        assert.equal(modules[top + 1][left + 1], false);
+        assert.equal(modules[top + 3][left + 3], true);
+    });
+});
+
+test('the format information names the level and the mask that was applied', () => {
+    ['short', 'bitcoin:bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq?amount=0.00012345&label=Shop', 'x'.repeat(300)].forEach(text => {
+        const qr = encodeQrCode(text);
+        assert.equal(readFormatBits(qr), FORMAT_BITS_M[qr.mask]);
+    });
+});
+
+test('versions from 7 up carry version information', () => {
+    const qr = encodeQrCode('x'.repeat(120));
+    assert.equal(qr.version, 7);
+
+    let bits = '';
+    for (let i = 17; i >= 0; i--) {
+        bits += qr.modules[Math.floor(i / 3)][qr.size - 11 + i % 3] ? '1' : '0';
+    }
+    assert.equal(bits, '000111110010010100');
+});
+
+test('text that doesn\'t fit and unknown levels are rejected', () => {
+    assert.throws(() => encodeQrCode('x'.repeat(2400), { errorCorrection: 'H' }), { message: 'Text is too long for a QR code' });
+    assert.throws(() => encodeQrCode('x', { errorCorrection: 'X' }), /Unknown QR error correction level/);
+});
+
+test('qrCodeToSvg draws every dark module inside the quiet zone', () => {
+    const qr = encodeQrCode('A');
+    const svg = qrCodeToSvg(qr);
+    const darkCount = qr.modules.flat().filter(Boolean).length;
+
+    assert.match(svg, /viewBox="0 0 29 29"/);
+    assert.equal(svg.match(/h1v1h-1z/g).length, darkCount);
+    assert.match(svg, /^<svg[^>]*><rect[^>]*\/><path d="M4,4h1v1h-1z/);
+});
@@ -0,0 +1,234 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RATE_PROVIDER_CONFIG } from '../core/index.js';
+import { createRatesServer } from '../server/app.js';
+import { createProxyCache } from '../server/upstream.js';
+import { createFixtureUpstream } from '../server/fixture.js';
+
+const FIXTURE_RATES = { usd: 60000, eur: 55000, gbp: 48000, jpy: 9000000, krw: 80000000 };
+const defaultOrder = RATE_PROVIDER_CONFIG.order;
+
+const fixture = createFixtureUpstream(FIXTURE_RATES);
+let upstreamCalls = [];
+let upstreamDown = false;
+let server;
+let baseUrl;
+
+before(async () => {
+    const upstream = async url => {
+        upstreamCalls.push(url);
+        if (upstreamDown) throw new Error('offline');
+        return fixture(url);
+    };
+    server = createRatesServer({ upstream, upstreamName: 'fixture', cacheTtl: 60000 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    upstreamCalls = [];
+    upstreamDown = false;
+    server.cache.clear();
+    // Failing providers log why; keep the test output readable
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    RATE_PROVIDER_CONFIG.order = defaultOrder;
+    mock.restoreAll();
+});
+
+function get(path) {
+    return fetch(baseUrl + path);
+}
+
+test('/api/status tells the page where the proxy is', async () => {
+    const response = await get('/api/status');
+    assert.deepEqual(await response.json(), { proxy: 'proxy', cacheTtl: 60, upstream: 'fixture' });
+});
+
+test('/api/rates converts to the unit as the pages do', async () => {
+    const response = await get('/api/rates?unit=sats&fiat=eur');
+    assert.equal(response.status, 200);
+
+    const data = await response.json();
+    assert.equal(data.unit, 'sats');
+    assert.equal(data.source, 'coingecko');
+    assert.deepEqual(Object.keys(data.currencies), ['eur']);
+
+    const eur = data.currencies.eur;
+    assert.equal(eur.status, 'live');
+    assert.equal(eur.btcPrice, 55000);
+    assert.deepEqual(eur.fiatPerUnit, { value: 0.00055, formatted: '€0.0005500' });
+    assert.deepEqual(eur.unitsPerFiat.map(row => row.amount), [1, 5, 20, 50]);
+    assert.equal(eur.unitsPerFiat[0].formattedAmount, '€1');
+    assert.equal(eur.unitsPerFiat[0].formatted, '1.82K sats');
+});
+
+test('/api/rates accepts unit names and aliases, several currencies and a locale', async () => {
+    const data = await (await get('/api/rates?unit=%C2%B5BTC&fiat=USD,krw&locale=ko-KR')).json();
+    assert.equal(data.unit, 'bits');
+    assert.deepEqual(Object.keys(data.currencies), ['usd', 'krw']);
+    assert.equal(data.currencies.krw.fiatPerUnit.formatted, '₩80');
+    assert.deepEqual(data.currencies.krw.unitsPerFiat.map(row => row.amount), [1000, 5000, 10000, 50000]);
+});
+
+test('/api/rates lists currencies the upstream has no rate for', async () => {
+    const data = await (await get('/api/rates?fiat=usd,chf')).json();
+    assert.equal(data.unit, 'btc');
+    assert.deepEqual(Object.keys(data.currencies), ['usd']);
+    assert.deepEqual(data.unavailable, ['chf']);
+});
+
+test('/api/rates rejects unknown units and currencies', async () => {
+    let response = await get('/api/rates?unit=furlongs');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /furlongs/);
+
+    response = await get('/api/rates?fiat=eur,xyz');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /XYZ/);
+
+    response = await get('/api/rates?fiat=constructor,__proto__');
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /CONSTRUCTOR, __PROTO__/);
+});
+
+test('/api/rates falls back along the provider order', async () => {
+    RATE_PROVIDER_CONFIG.order = ['selfhosted', 'kraken', 'coingecko'];
+    const data = await (await get('/api/rates?fiat=gbp')).json();
+    assert.equal(data.source, 'kraken');
+    assert.equal(data.currencies.gbp.btcPrice, 48000);
+
+    RATE_PROVIDER_CONFIG.order = ['coindesk'];
+    const viaCoindesk = await (await get('/api/rates?fiat=eur')).json();
+    assert.equal(viaCoindesk.source, 'coindesk');
+    assert.equal(viaCoindesk.currencies.eur.status, 'live');
+    assert.equal(Math.round(viaCoindesk.currencies.eur.btcPrice), 55000);
+});
+
+test('/api/rates answers 502 when no provider does', async () => {
+    upstreamDown = true;
+    const response = await get('/api/rates');
+    assert.equal(response.status, 502);
+});
+
+test('/api/rates reuses the cached upstream answer', async () => {
+    await get('/api/rates?fiat=eur');
+    await get('/api/rates?fiat=usd&unit=sats');
+    assert.equal(upstreamCalls.length, 1);
+});
+
+test('the proxy forwards to upstream hosts and caches the answers', async () => {
+    const path = '/proxy/api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur';
+
+    let response = await get(path);
+    assert.equal(response.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(await response.json(), { bitcoin: { usd: 60000, eur: 55000 } });
+
+    response = await get(path);
+    assert.equal(response.headers.get('x-cache'), 'HIT');
+    await response.arrayBuffer();
+
+    assert.deepEqual(upstreamCalls, ['https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur']);
+});
+
+test('the proxy passes upstream errors through without caching them', async () => {
+    const path = '/proxy/api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=xyz&days=1';
+    assert.equal((await get(path)).status, 400);
+    assert.equal((await get(path)).status, 400);
+    assert.equal(upstreamCalls.length, 2);
+
+    upstreamDown = true;
+    assert.equal((await get('/proxy/api.kraken.com/0/public/Ticker?pair=XBTUSD')).status, 502);
+});
+
+test('the proxy only forwards the calls the providers make', async () => {
+    for (const path of ['/proxy/example.com/secret', '/proxy/api.coingecko.com/api/v3/coins/list', '/proxy/api.kraken.com']) {
+        const response = await get(path);
+        assert.equal(response.status, 403, path);
+        await response.arrayBuffer();
+    }
+    assert.equal(upstreamCalls.length, 0);
+});
+
+test('the app files are served, dotfiles and paths outside the root are not', async () => {
+    let response = await get('/');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/html/);
+    assert.match(await response.text(), /<html/);
+
+    response = await get('/core/units.js');
+    assert.match(response.headers.get('content-type'), /^text\/javascript/);
+    await response.arrayBuffer();
+
+    for (const path of ['/.git/config', '/core/%2e%2e%2f%2e%2e%2fpackage.json', '/missing.js']) {
+        response = await get(path);
+        assert.equal(response.status, 404, path);
+        await response.arrayBuffer();
+    }
+});
+
+test('the proxy cache expires answers after the TTL', async () => {
+    let time = 0;
+    const upstream = mock.fn(async () => ({ status: 200, contentType: 'application/json', body: '{}' }));
+    const cache = createProxyCache(upstream, { ttl: 1000, now: () => time });
+
+    assert.equal((await cache.get('https://a')).cached, false);
+    time = 999;
+    assert.equal((await cache.get('https://a')).cached, true);
+    time = 1000;
+    assert.equal((await cache.get('https://a')).cached, false);
+    assert.equal(upstream.mock.callCount(), 2);
+});
+
+test('the proxy cache drops expired answers and keeps at most maxEntries', async () => {
+    let time = 0;
+    const upstream = async () => ({ status: 200, contentType: 'application/json', body: '{}' });
+    const cache = createProxyCache(upstream, { ttl: 1000, maxEntries: 2, now: () => time });
+
+    await cache.get('https://a');
+    await cache.get('https://b');
+    time = 1000;
+    await cache.get('https://c');
+    assert.equal(cache.size, 1);
+
+    await cache.get('https://d');
+    await cache.get('https://e');
+    assert.equal(cache.size, 2);
+    assert.equal((await cache.get('https://e')).cached, true);
+    assert.equal((await cache.get('https://c')).cached, false);
+});
+
+test('the proxy cache asks upstream once for concurrent requests', async () => {
+    let answer;
+    const upstream = mock.fn(() => new Promise(resolve => { answer = resolve; }));
+    const cache = createProxyCache(upstream, { ttl: 1000 });
+
+    const requests = [cache.get('https://a'), cache.get('https://a'), cache.get('https://a')];
+    answer({ status: 200, contentType: 'application/json', body: '{"ok":true}' });
+
+    const answers = await Promise.all(requests);
+    assert.deepEqual(answers.map(item => item.cached), [false, true, true]);
+    assert.equal(upstream.mock.callCount(), 1);
+});
+
+test('the fixture answers each upstream API in its own format', async () => {
+    const body = async url => JSON.parse((await fixture(url)).body);
+
+    assert.deepEqual(await body('https://api.kraken.com/0/public/Ticker?pair=XBTUSD,XBTJPY'), {
+        error: [],
+        result: { XBTUSD: { c: ['60000', '0.01'], v: ['0', '0'] }, XBTJPY: { c: ['9000000', '0.01'], v: ['0', '0'] } }
+    });
+    assert.equal((await body('https://api.coindesk.com/v1/bpi/currentprice.json')).bpi.USD.rate_float, 60000);
+    assert.equal((await body('https://open.er-api.com/v6/latest/USD')).rates.EUR, 55000 / 60000);
+
+    const { prices } = await body('https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=7');
+    assert.equal(prices.length, 7 * 24 + 1);
+    assert.equal(prices.at(-1)[1], 60000);
+
+    assert.equal((await fixture('https://api.coingecko.com/api/v3/unknown')).status, 404);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BITCOIN_UNITS, PAGE_DENOMINATIONS, registerDenomination, convertFiatToUnits, convertUnitsToFiat, getUnitSuffixPattern, getAmountPresets } from '../core/index.js';
+
+test('the built-in units are registered in tab order', () => {
+    assert.deepEqual(Object.keys(BITCOIN_UNITS).slice(0, 4), ['btc', 'mbtc', 'bits', 'sats']);
+    assert.deepEqual(PAGE_DENOMINATIONS['satoshi-per-fiat'], { unit: 'sats', mode: 'units-per-fiat' });
+    assert.deepEqual(PAGE_DENOMINATIONS['fiat-per-bits'], { unit: 'bits', mode: 'fiat-per-unit' });
+});
+
+test('fiat converts to every unit and back', () => {
+    assert.equal(convertFiatToUnits(1, 40000, 'sats'), 2500);
+    assert.equal(convertFiatToUnits(10, 50000, 'bits'), 200);
+    assert.equal(convertFiatToUnits(50000, 50000, 'btc'), 1);
+    assert.equal(convertUnitsToFiat(2000, 50000, 'sats'), 1);
+    assert.equal(convertUnitsToFiat(1, 60000, 'mbtc'), 60);
+});
+
+test('registerDenomination fills in defaults and page ids', () => {
+    registerDenomination({ id: 'kbits', name: 'kBITS', label: 'kBITS', perBtc: 1000, decimals: 5 });
+    try {
+        assert.equal(BITCOIN_UNITS.kbits.compact, true);
+        assert.deepEqual(BITCOIN_UNITS.kbits.tab, { id: 'kbits', label: 'kBITS' });
+        assert.deepEqual(PAGE_DENOMINATIONS['kbits-per-fiat'], { unit: 'kbits', mode: 'units-per-fiat' });
+        assert.ok(getUnitSuffixPattern().test('12 kbits'));
+    } finally {
+        delete BITCOIN_UNITS.kbits;
+        delete PAGE_DENOMINATIONS['fiat-per-kbits'];
+        delete PAGE_DENOMINATIONS['kbits-per-fiat'];
+    }
+});
+
+test('the unit suffix pattern prefers the longest name', () => {
+    assert.equal('2m sats'.replace(getUnitSuffixPattern(), ''), '2m ');
+    assert.equal('5 satoshis'.replace(getUnitSuffixPattern(), ''), '5 ');
+    assert.equal('7 ubtc'.replace(getUnitSuffixPattern(), ''), '7 ');
+    assert.equal('2m btc'.replace(getUnitSuffixPattern(), ''), '2m ');
+});
+
+test('amount presets are the common notes or multiples of the reference amount', () => {
+    assert.deepEqual(getAmountPresets('usd'), [1, 5, 20, 100]);
+    assert.deepEqual(getAmountPresets('jpy'), [100, 1000, 5000, 10000]);
+    assert.deepEqual(getAmountPresets('jpy', 500), [500, 2500, 10000, 50000]);
+    assert.deepEqual(getAmountPresets('ngn'), [1, 5, 20, 100]);
+});
@@ -0,0 +1,66 @@
+// Colour themes. The choice is saved in localStorage; "Match system" follows the
+// browser's prefers-color-scheme and prefers-contrast settings as they change.
+// Loaded in <head> so the theme is applied before the page is first painted.
+
+const THEME_CONFIG = {
+    storageKey: 'theme',
+    // Theme id: message key of its name
+    themes: {
+        'system': 'theme.system',
+        'light': 'theme.light',
+        'dark': 'theme.dark',
+        'high-contrast': 'theme.highContrast'
+    }
+};
+
+let themeSetting = 'system';
+
+function loadThemeSetting() {
+    try {
+        const stored = localStorage.getItem(THEME_CONFIG.storageKey);
+        if (THEME_CONFIG.themes[stored]) {
+            themeSetting = stored;
+        }
+    } catch (error) {
+        console.warn('Could not read the theme setting:', error);
+    }
+}
+
+function matchesMedia(query) {
+    return Boolean(window.matchMedia && window.matchMedia(query).matches);
+}
+
+// The theme actually shown for a setting: 'light', 'dark' or 'high-contrast'
+function resolveTheme(setting) {
+    if (setting !== 'system') return setting;
+    if (matchesMedia('(prefers-contrast: more)') || matchesMedia('(forced-colors: active)')) return 'high-contrast';
+    return matchesMedia('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+function applyTheme() {
+    document.documentElement.dataset.theme = resolveTheme(themeSetting);
+}
+
+function initThemeSettings() {
+    const select = document.getElementById('themeSelect');
+    select.innerHTML = Object.entries(THEME_CONFIG.themes)
+        .map(([theme, key]) => `<option value="${theme}" data-i18n="${key}"></option>`)
+        .join('');
+    select.value = themeSetting;
+
+    select.addEventListener('change', () => {
+        themeSetting = select.value;
+        localStorage.setItem(THEME_CONFIG.storageKey, themeSetting);
+        applyTheme();
+    });
+
+    // Only matters while the setting is "Match system", but is cheap to keep listening
+    if (window.matchMedia) {
+        ['(prefers-color-scheme: dark)', '(prefers-contrast: more)', '(forced-colors: active)'].forEach(query => {
+            window.matchMedia(query).addEventListener('change', applyTheme);
+        });
+    }
+}
+
+loadThemeSetting();
+applyTheme();
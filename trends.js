@@ -0,0 +1,147 @@
+// 24h change indicators, sparklines and sorting for the rate cards
+
+const TREND_CONFIG = {
+    period: 24 * 60 * 60 * 1000,
+    // A stored snapshot older than this is too far from "24h ago" to compare against
+    maxReferenceAge: 36 * 60 * 60 * 1000,
+    sparklineWidth: 100,
+    sparklineHeight: 24
+};
+
+// 24h % change of the BTC price per currency, from the provider or stored history
+let currentRateChanges = {};
+
+// BTC prices over the last 24h per currency, oldest first
+let currentSparklines = {};
+
+let trendSortOrder = 'default';
+let trendRequest = 0;
+
+// Fill in changes the provider didn't supply and build sparklines from stored history
+async function updateRateTrends() {
+    const request = ++trendRequest;
+    const now = Date.now();
+
+    try {
+        const reference = await getRateSnapshotBefore(now - TREND_CONFIG.period);
+        const snapshots = await getRateSnapshots({ since: now - TREND_CONFIG.period, until: now });
+        if (request !== trendRequest) return;
+
+        Object.entries(currentRates).forEach(([code, price]) => {
+            if (currentRateChanges[code] === undefined && reference &&
+                now - reference.timestamp <= TREND_CONFIG.maxReferenceAge && reference.rates[code]) {
+                currentRateChanges[code] = (price - reference.rates[code]) / reference.rates[code] * 100;
+            }
+
+            let points = snapshots.map(snapshot => snapshot.rates[code]).filter(Boolean);
+            if (points.length < 2) {
+                // Fall back to the 24h chart data if it was loaded recently
+                const cached = loadCachedHistory(code, '24h');
+                points = cached ? cached.points.map(([, historyPrice]) => historyPrice) : [];
+            }
+            currentSparklines[code] = points.concat(price);
+        });
+    } catch (error) {
+        console.warn('Could not compute rate trends:', error);
+        return;
+    }
+
+    displayCurrentActiveTab();
+}
+
+// The 24h change of the value a page shows for a currency, or null if unknown
+function getCardTrend(currencyCode, pageId) {
+    const btcChange = currentRateChanges[currencyCode];
+    const price = currentRates[currencyCode];
+    if (btcChange === undefined || !price) return null;
+
+    const previousPrice = price / (1 + btcChange / 100);
+    const value = getPageValue(price, currencyCode, pageId);
+    const previousValue = getPageValue(previousPrice, currencyCode, pageId);
+
+    return {
+        percent: (value - previousValue) / previousValue * 100,
+        absolute: value - previousValue
+    };
+}
+
+function createSparklineSvg(values) {
+    const { sparklineWidth: width, sparklineHeight: height } = TREND_CONFIG;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+
+    const coordinates = values.map((value, index) => {
+        const x = index / (values.length - 1) * width;
+        const y = height - 2 - (value - min) / span * (height - 4);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+        <polyline points="${coordinates.join(' ')}" vector-effect="non-scaling-stroke"></polyline>
+    </svg>`;
+}
+
+function formatTrendChange(currencyCode, pageId, trend) {
+    const sign = trend.absolute >= 0 ? '+' : '-';
+    const absolute = formatPageValue(Math.abs(trend.absolute), currencyCode, pageId);
+
+    return `${formatPercent(trend.percent)} (${sign}${absolute})`;
+}
+
+function createTrendElement(currencyCode, pageId) {
+    const trend = getCardTrend(currencyCode, pageId);
+    const history = currentSparklines[currencyCode];
+    if (!trend && !(history && history.length > 2)) return null;
+
+    const element = document.createElement('div');
+    const direction = !trend ? 'flat' : trend.percent > 0 ? 'up' : trend.percent < 0 ? 'down' : 'flat';
+    element.className = `rate-trend trend-${direction}`;
+
+    const values = history && history.length > 2
+        ? history.map(price => getPageValue(price, currencyCode, pageId))
+        : null;
+
+    element.innerHTML = `
+        ${values ? createSparklineSvg(values) : '<span></span>'}
+        <span class="trend-change" title="${translate('trends.title')}">
+            ${trend ? `${direction === 'up' ? '▲' : direction === 'down' ? '▼' : ''} ${formatTrendChange(currencyCode, pageId, trend)}` : ''}
+        </span>
+    `;
+    return element;
+}
+
+// Add trend indicators to the cards of a freshly rendered grid and apply the sort order
+function applyTrendsToGrid(container, pageId) {
+    const cards = Array.from(container.querySelectorAll('.rate-card'));
+
+    cards.forEach(card => {
+        const trendElement = createTrendElement(card.dataset.currency, pageId);
+        if (trendElement) card.appendChild(trendElement);
+    });
+
+    if (trendSortOrder === 'default') return;
+
+    // Cards without a known change keep their order at the end
+    const changeOf = card => {
+        const trend = getCardTrend(card.dataset.currency, pageId);
+        return trend ? trend.percent : null;
+    };
+    cards
+        .map((card, index) => ({ card, index, change: changeOf(card) }))
+        .sort((a, b) => {
+            if (a.change === null || b.change === null) {
+                return (a.change === null) - (b.change === null) || a.index - b.index;
+            }
+            return trendSortOrder === 'change-desc' ? b.change - a.change : a.change - b.change;
+        })
+        .forEach(({ card }) => container.appendChild(card));
+}
+
+function initTrendSorting() {
+    const select = document.getElementById('sortOrder');
+    select.addEventListener('change', () => {
+        trendSortOrder = select.value;
+        displayCurrentActiveTab();
+    });
+}
@@ -0,0 +1,135 @@
+// Keeps the current view in the URL hash, so a link or a reload lands on the same
+// page, currency filter and converter input, and back/forward move between views:
+//   #satoshi-per-fiat?currencies=eur,usd&amount=100&fiat=eur&unit=bits&from=fiat
+
+const URL_STATE_DEFAULTS = {
+    amount: '1',
+    unit: 'sats',
+    from: 'fiat'
+};
+
+// Lower-case currency codes or name fragments the grids are filtered to; empty shows every currency
+let currencyFilter = [];
+
+// The page shown when the URL doesn't name one
+let defaultPageId = null;
+
+function parseCurrencyFilter(text) {
+    return String(text).toLowerCase().split(/[\s,]+/).filter(Boolean);
+}
+
+// Names match in the interface language and in English, so "yen" finds JPY whatever the language
+function matchesCurrencyFilter(code, config) {
+    const englishName = ISO_4217[code] ? ISO_4217[code].name : '';
+    return currencyFilter.length === 0 || currencyFilter.some(term =>
+        code.startsWith(term) || config.name.toLowerCase().includes(term) || englishName.toLowerCase().includes(term));
+}
+
+// Entries of `currencies` that pass the currency filter, in display order
+function getShownCurrencies() {
+    return Object.entries(currencies).filter(([code, config]) => matchesCurrencyFilter(code, config));
+}
+
+function parseUrlState(hash = location.hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const params = new URLSearchParams(query);
+
+    return {
+        view: decodeURIComponent(path),
+        currencies: parseCurrencyFilter(params.get('currencies') || ''),
+        amount: params.get('amount'),
+        fiat: params.get('fiat'),
+        unit: params.get('unit'),
+        from: params.get('from')
+    };
+}
+
+// A page id, or a tab id ("sts") meaning that tab's current page
+function resolveUrlView(view) {
+    const element = view && document.getElementById(view);
+    if (element && element.classList.contains('page')) return view;
+
+    const tab = view && document.getElementById(`${view}-tab`);
+    if (tab && tab.classList.contains('main-tab')) {
+        return (tab.querySelector('.page.active') || tab.querySelector('.page')).id;
+    }
+    return defaultPageId;
+}
+
+// Only values that differ from the defaults are written, to keep shared links short
+function buildUrlHash() {
+    const params = new URLSearchParams();
+    const fiatCode = document.getElementById('converterFiatCurrency').value;
+    const unit = document.getElementById('converterBitcoinUnit').value;
+    const amountInput = document.getElementById(converterSource === 'fiat' ? 'converterFiatAmount' : 'converterBitcoinAmount');
+
+    if (currencyFilter.length > 0) params.set('currencies', currencyFilter.join(','));
+    if (amountInput.value !== URL_STATE_DEFAULTS.amount || converterSource !== URL_STATE_DEFAULTS.from) {
+        params.set('amount', amountInput.value);
+    }
+    if (fiatCode && fiatCode !== Object.keys(currencies)[0]) params.set('fiat', fiatCode);
+    if (unit !== URL_STATE_DEFAULTS.unit) params.set('unit', unit);
+    if (converterSource !== URL_STATE_DEFAULTS.from) params.set('from', converterSource);
+
+    const query = params.toString().replace(/%2C/g, ',');
+    return `#${getActivePageId()}${query ? `?${query}` : ''}`;
+}
+
+function writeUrlState(method) {
+    const hash = buildUrlHash();
+    if (hash !== location.hash) {
+        history[method](null, '', hash);
+    }
+}
+
+// A new history entry, for moving between pages
+function pushUrlState() {
+    writeUrlState('pushState');
+}
+
+// Update the current entry, for typing into the filter or converter
+function replaceUrlState() {
+    writeUrlState('replaceState');
+}
+
+// Bring the page, filter and converter in line with the URL
+function applyUrlState(state = parseUrlState()) {
+    currencyFilter = state.currencies;
+    document.getElementById('currencyFilter').value = currencyFilter.join(', ');
+
+    const fiatSelect = document.getElementById('converterFiatCurrency');
+    const unitSelect = document.getElementById('converterBitcoinUnit');
+    fiatSelect.value = currencies[state.fiat] ? state.fiat : Object.keys(currencies)[0] || '';
+    unitSelect.value = BITCOIN_UNITS[state.unit] ? state.unit : URL_STATE_DEFAULTS.unit;
+
+    converterSource = state.from === 'bitcoin' ? 'bitcoin' : 'fiat';
+    const sourceInput = document.getElementById(converterSource === 'fiat' ? 'converterFiatAmount' : 'converterBitcoinAmount');
+    sourceInput.value = state.amount !== null ? state.amount : URL_STATE_DEFAULTS.amount;
+    updateConverter();
+
+    // showPage() redraws the grid, which picks up the new filter
+    showPage(resolveUrlView(state.view), { updateUrl: false });
+}
+
+function initUrlState() {
+    defaultPageId = getActivePageId();
+
+    const filterInput = document.getElementById('currencyFilter');
+    filterInput.addEventListener('input', () => {
+        currencyFilter = parseCurrencyFilter(filterInput.value);
+        if (Object.keys(currentRates).length > 0) {
+            displayCurrentActiveTab();
+        }
+        replaceUrlState();
+    });
+
+    document.getElementById('converterFiatAmount').addEventListener('input', replaceUrlState);
+    document.getElementById('converterBitcoinAmount').addEventListener('input', replaceUrlState);
+    document.getElementById('converterFiatCurrency').addEventListener('change', replaceUrlState);
+    document.getElementById('converterBitcoinUnit').addEventListener('change', replaceUrlState);
+
+    // Back/forward and hand-edited hashes
+    window.addEventListener('popstate', () => applyUrlState());
+
+    applyUrlState();
+}